@@ -0,0 +1,34 @@
+const { rateLimit } = require('express-rate-limit');
+
+// Data exports read everything a user has, so each user gets a few a day
+const DATA_EXPORT_RATE_LIMIT = parseInt(process.env.DATA_EXPORT_RATE_LIMIT) || 3;
+const DATA_EXPORT_RATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Limit data export requests per user; must run after authenticateToken
+const exportRateLimit = rateLimit({
+  windowMs: DATA_EXPORT_RATE_WINDOW_MS,
+  limit: DATA_EXPORT_RATE_LIMIT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    message: `You can request at most ${DATA_EXPORT_RATE_LIMIT} data exports a day`
+  }
+});
+
+// Limit download attempts per IP address, since download links are used
+// without an access token
+const exportDownloadRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    message: 'Too many download attempts, please try again later'
+  }
+});
+
+module.exports = {
+  exportRateLimit,
+  exportDownloadRateLimit
+};
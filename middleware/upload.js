@@ -36,18 +36,53 @@ const upload = multer({
   }
 });
 
+// Configure multer for bulk imports: a CSV or JSON manifest and a zip of
+// the images it refers to
+const importUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit for the image archive
+    files: 2
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (file.fieldname === 'manifest' && !['.csv', '.json'].includes(ext)) {
+      return cb(new Error('Manifest must be a CSV or JSON file'), false);
+    }
+    if (file.fieldname === 'archive' && ext !== '.zip') {
+      return cb(new Error('Images must be uploaded as a zip archive'), false);
+    }
+    cb(null, true);
+  }
+});
+
 // Middleware for single image upload
 const uploadSingle = upload.single('image');
 
 // Middleware for multiple images upload
 const uploadMultiple = upload.array('images', 5);
 
+// Middleware for bulk import uploads
+const uploadImport = importUpload.fields([
+  { name: 'manifest', maxCount: 1 },
+  { name: 'archive', maxCount: 1 }
+]);
+
+// Messages of file filter errors that are the client's fault
+const FILE_FILTER_ERRORS = [
+  'Only image files are allowed',
+  'Manifest must be a CSV or JSON file',
+  'Images must be uploaded as a zip archive'
+];
+
 // Error handling middleware for upload errors
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
-        message: 'File too large. Maximum size is 5MB'
+        message: error.field === 'archive' || error.field === 'manifest'
+          ? 'File too large. Maximum size is 50MB'
+          : 'File too large. Maximum size is 5MB'
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
@@ -62,7 +97,7 @@ const handleUploadError = (error, req, res, next) => {
     }
   }
   
-  if (error.message === 'Only image files are allowed') {
+  if (FILE_FILTER_ERRORS.includes(error.message)) {
     return res.status(400).json({
       message: error.message
     });
@@ -158,7 +193,9 @@ const processSingleFile = (file) => {
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadImport,
   handleUploadError,
+  getMimeType,
   processUploadedFiles,
   processSingleFile
 }; 
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'ready', 'failed', 'expired'],
+    default: 'queued'
+  },
+  // Archive on disk while the export is ready
+  filePath: {
+    type: String,
+    select: false
+  },
+  // Hash of the current single-use download token
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  downloadTokenExpiresAt: {
+    type: Date
+  },
+  fileSize: {
+    type: Number
+  },
+  // When the archive is deleted
+  expiresAt: {
+    type: Date
+  },
+  error: {
+    type: String,
+    maxlength: 500
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Keep the archive location and download token out of responses
+dataExportSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.filePath;
+    delete ret.downloadTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
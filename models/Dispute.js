@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Image uploaded as evidence by a participant or admin
+const evidenceSchema = new mongoose.Schema({
+  data: {
+    type: String, // Base64 encoded image data
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const messageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const disputeSchema = new mongoose.Schema({
+  swap: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swap',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The other participant of the swap
+  against: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['not_as_described', 'no_show', 'item_not_received', 'damaged', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  evidence: [evidenceSchema],
+  messages: [messageSchema],
+  status: {
+    type: String,
+    enum: ['open', 'in_review', 'resolved'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['refund_points', 'reverse_swap', 'penalize_user', 'dismiss']
+    },
+    // Points refunded or deducted
+    points: {
+      type: Number,
+      min: 0
+    },
+    // User who received a refund or was penalized
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: 1000
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ openedBy: 1, createdAt: -1 });
+disputeSchema.index({ against: 1, createdAt: -1 });
+disputeSchema.index({ assignedTo: 1, status: 1 });
+// Only one unresolved dispute per swap
+disputeSchema.index(
+  { swap: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'in_review'] } } }
+);
+
+// Method to check whether a user may see and post to the dispute
+disputeSchema.methods.isParticipant = function(userId) {
+  const id = userId.toString();
+  return [this.openedBy, this.against].some(user => (user._id || user).toString() === id);
+};
+
+// Method to add a message to the thread
+disputeSchema.methods.addMessage = function(authorId, body, isAdmin = false) {
+  this.messages.push({ author: authorId, body, isAdmin });
+  return this.save();
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// An image of a queued import, copied out of the uploaded archive so any
+// instance can run the import. Deleted when the import ends.
+const importImageSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // File name or path the manifest uses for the image
+  name: {
+    type: String,
+    required: true
+  },
+  // Base64 image data, stored like item images
+  data: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+importImageSchema.index({ job: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportImage', importImageSchema);
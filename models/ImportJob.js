@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Outcome of one manifest row
+const importResultSchema = new mongoose.Schema({
+  // Position of the row in the manifest, starting at 1
+  row: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['created', 'invalid', 'failed'],
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  },
+  // Why the row was invalid or failed
+  messages: [{
+    type: String
+  }]
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  // Validated rows waiting to be created: { row, fields, images }
+  rows: {
+    type: [mongoose.Schema.Types.Mixed],
+    select: false
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  // Valid rows handled so far, out of rows.length
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  validRows: {
+    type: Number,
+    default: 0
+  },
+  createdCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  results: [importResultSchema],
+  error: {
+    type: String,
+    maxlength: 500
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Percentage of the valid rows handled
+importJobSchema.virtual('progress').get(function() {
+  if (!this.validRows) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.round(this.processedRows / this.validRows * 100);
+});
+
+// Indexes for better query performance
+importJobSchema.index({ owner: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, updatedAt: 1 });
+
+// Ensure virtual fields are serialized, and keep the queued rows out of
+// responses
+importJobSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.rows;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
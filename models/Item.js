@@ -1,31 +1,37 @@
 const mongoose = require('mongoose');
+const { ITEM_STATUSES } = require('../utils/itemStatus');
+
+// Drafts can be saved with any of the listing details missing
+function requiredUnlessDraft() {
+  return this.status !== 'draft';
+}
 
 const itemSchema = new mongoose.Schema({
   title: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     trim: true,
     maxlength: 100
   },
   description: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     trim: true,
     maxlength: 1000
   },
   category: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     enum: ['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories']
   },
   size: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size']
   },
   condition: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     enum: ['new', 'like-new', 'good', 'fair', 'poor']
   },
   brand: {
@@ -65,26 +71,49 @@ const itemSchema = new mongoose.Schema({
   },
   pointsValue: {
     type: Number,
-    required: true,
+    required: requiredUnlessDraft,
     min: 1,
     max: 10000
   },
-  isAvailable: {
-    type: Boolean,
-    default: true
+  // Lifecycle status, see utils/itemStatus.js for the allowed transitions
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: 'listed'
   },
-  isApproved: {
-    type: Boolean,
-    default: true
+  // When a scheduled draft is published
+  publishAt: {
+    type: Date
   },
-  isRejected: {
-    type: Boolean,
-    default: false
+  // Accepted swap the item is committed to
+  lockedBySwap: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swap',
+    default: null
   },
   rejectionReason: {
     type: String,
     maxlength: 500
   },
+  // Archiving takes the place of deleting, so swaps that reference the item
+  // can still show it. Set while the item is archived.
+  deletedAt: {
+    type: Date
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Status to return to when the item is restored
+  archivedFromStatus: {
+    type: String,
+    enum: ITEM_STATUSES
+  },
+  // Set when the retention job dropped the images of an archived item that
+  // swaps still reference; such items can't be restored
+  purgedAt: {
+    type: Date
+  },
   views: {
     type: Number,
     default: 0
@@ -134,6 +163,15 @@ const itemSchema = new mongoose.Schema({
     type: String,
     enum: ['casual', 'formal', 'business', 'sporty', 'vintage', 'bohemian', 'minimalist', 'streetwear']
   },
+  // Result of comparing pointsValue with the suggested valuation
+  pricingFlag: {
+    flagged: { type: Boolean, default: false },
+    message: { type: String, maxlength: 200 },
+    suggestedLow: { type: Number },
+    suggestedHigh: { type: Number },
+    confidence: { type: String, enum: ['low', 'medium', 'high'] },
+    checkedAt: { type: Date }
+  },
   // Redemption fields
   redeemedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -153,7 +191,9 @@ const itemSchema = new mongoose.Schema({
 // Indexes for better query performance
 itemSchema.index({ owner: 1 });
 itemSchema.index({ category: 1 });
-itemSchema.index({ isAvailable: 1, isApproved: 1 });
+itemSchema.index({ status: 1, createdAt: -1 });
+itemSchema.index({ status: 1, deletedAt: 1 });
+itemSchema.index({ status: 1, publishAt: 1 });
 itemSchema.index({ pointsValue: 1 });
 itemSchema.index({ createdAt: -1 });
 itemSchema.index({ title: 'text', description: 'text', tags: 'text' });
@@ -197,11 +237,7 @@ itemSchema.methods.isLikedBy = function(userId) {
 
 // Static method to get featured items
 itemSchema.statics.getFeaturedItems = function(limit = 10) {
-  return this.find({
-    isAvailable: true,
-    isApproved: true,
-    isRejected: false
-  })
+  return this.find({ status: 'listed' })
   .sort({ views: -1, likes: -1, createdAt: -1 })
   .limit(limit)
   .populate('owner', 'username firstName lastName avatar rating');
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { ITEM_STATUSES } = require('../utils/itemStatus');
+
+// One field changed by an edit. Images are recorded by filename and type
+// only, so revisions don't copy the image data.
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const itemRevisionSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  // Increases by one with every edit of the item
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changes: [fieldChangeSchema],
+  statusBefore: {
+    type: String,
+    enum: ITEM_STATUSES
+  },
+  statusAfter: {
+    type: String,
+    enum: ITEM_STATUSES
+  },
+  // Whether the edit sent the item back to moderation
+  requiresReview: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+itemRevisionSchema.index({ item: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ItemRevision', itemRevisionSchema);
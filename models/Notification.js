@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'swap_expiring',
+      'swap_expired',
+      'swap_overdue',
+      'swap_auto_cancelled',
+      'swap_auto_rejected',
+      'swap_receipt_confirmed',
+      'swap_handoff_objection',
+      'swap_completed',
+      'swap_meeting_proposed',
+      'swap_meeting_scheduled',
+      'swap_shipped',
+      'swap_delivered',
+      'review_received',
+      'review_reply',
+      'dispute_opened',
+      'dispute_message',
+      'dispute_resolved',
+      'item_published',
+      'item_publish_failed',
+      'item_import_finished',
+      'data_export_ready'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  message: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  swap: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swap'
+  },
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const pointsTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Signed change to the user's available balance (negative for debits)
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Signed change to the user's held (escrowed) balance
+  heldChange: {
+    type: Number,
+    default: 0
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit', 'hold', 'release'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'signup_bonus',
+      'swap_payment',
+      'swap_income',
+      'swap_refund',
+      'escrow_hold',
+      'escrow_release',
+      'swap_bonus',
+      'reward',
+      'transfer_sent',
+      'transfer_received',
+      'owner_redemption',
+      'dispute_refund',
+      'dispute_penalty',
+      'admin_adjustment'
+    ],
+    required: true
+  },
+  // Reward rule that produced the entry, used to enforce reward caps
+  rewardEvent: {
+    type: String
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  swap: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swap'
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PointsTransfer'
+  },
+  // User who triggered the movement (the admin for adjustments)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  heldAfter: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+pointsTransactionSchema.index({ user: 1, createdAt: -1 });
+pointsTransactionSchema.index({ swap: 1 });
+pointsTransactionSchema.index({ reason: 1, createdAt: -1 });
+pointsTransactionSchema.index({ user: 1, rewardEvent: 1, createdAt: -1 });
+
+// Derive the entry type from how available and held balances moved
+pointsTransactionSchema.pre('validate', function(next) {
+  const heldChange = this.heldChange || 0;
+  if (heldChange !== 0 && this.amount === -heldChange) {
+    this.type = heldChange > 0 ? 'hold' : 'release';
+  } else {
+    this.type = this.amount + heldChange < 0 ? 'debit' : 'credit';
+  }
+  next();
+});
+
+// Static method to get a user's ledger page
+pointsTransactionSchema.statics.getUserHistory = function(userId, { reason, skip = 0, limit = 20 } = {}) {
+  const filter = { user: userId };
+  if (reason) filter.reason = reason;
+
+  return this.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit)
+    .populate('swap', 'status swapType')
+    .populate('item', 'title')
+    .populate({
+      path: 'transfer',
+      select: 'from to message status',
+      populate: { path: 'from to', select: 'username firstName lastName' }
+    })
+    .populate('actor', 'username firstName lastName');
+};
+
+module.exports = mongoose.model('PointsTransaction', pointsTransactionSchema);
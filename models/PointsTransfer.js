@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const pointsTransferSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  message: {
+    type: String,
+    maxlength: 300,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  // Pending transfers keep the points held until the recipient responds
+  requiresAcceptance: {
+    type: Boolean,
+    default: false
+  },
+  respondedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+pointsTransferSchema.index({ from: 1, createdAt: -1 });
+pointsTransferSchema.index({ to: 1, createdAt: -1 });
+pointsTransferSchema.index({ status: 1 });
+
+// Static method to sum points a user has sent (or is sending) since a date
+pointsTransferSchema.statics.getSentTotalSince = async function(userId, since, session = null) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        from: userId,
+        status: { $in: ['pending', 'completed'] },
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+
+  return result ? result.total : 0;
+};
+
+module.exports = mongoose.model('PointsTransfer', pointsTransferSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  swap: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swap',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The other party of the swap, whose rating the review counts towards
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewerRole: {
+    type: String,
+    enum: ['requester', 'owner'],
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    maxlength: 300,
+    default: ''
+  },
+  editedAt: {
+    type: Date
+  },
+  // The reviewee's public response
+  reply: {
+    body: {
+      type: String,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date
+    },
+    updatedAt: {
+      type: Date
+    }
+  },
+  // Set once the reviewee got the five-star reward for this review
+  fiveStarRewardedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reviewSchema.index({ swap: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, createdAt: -1 });
+reviewSchema.index({ reviewer: 1, createdAt: -1 });
+
+// Method to check whether the reviewer can still change the review
+reviewSchema.methods.isEditable = function(windowDays, now = new Date()) {
+  return now.getTime() - this.createdAt.getTime() <= windowDays * 24 * 60 * 60 * 1000;
+};
+
+// Static method to get a user's average rating, review count and how many
+// reviews gave each number of stars
+reviewSchema.statics.getRatingSummary = async function(userId, session = null) {
+  const rows = await this.aggregate([
+    { $match: { reviewee: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]).session(session);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+  for (const row of rows) {
+    distribution[row._id] = row.count;
+    total += row._id * row.count;
+    count += row.count;
+  }
+
+  return {
+    rating: count > 0 ? Math.round((total / count) * 100) / 100 : 0,
+    reviewsCount: count,
+    distribution
+  };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
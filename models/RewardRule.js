@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const rewardRuleSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['signup', 'first_listing', 'swap_completed', 'five_star_rating']
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  // Maximum number of times a user can earn this reward per calendar day (null = unlimited)
+  maxPerDay: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Maximum number of times a user can ever earn this reward (null = unlimited)
+  maxPerUser: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RewardRule', rewardRuleSchema);
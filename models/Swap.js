@@ -1,4 +1,200 @@
 const mongoose = require('mongoose');
+const { buildValueBreakdown, getBundleValue } = require('../utils/swapTerms');
+
+// A version of the swap terms put forward by one of the parties
+const proposalSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  swapType: {
+    type: String,
+    enum: ['direct', 'points', 'hybrid'],
+    required: true
+  },
+  requestedItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  }],
+  offeredItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  }],
+  pointsOffered: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  fulfillment: {
+    type: String,
+    enum: ['meetup', 'shipping'],
+    default: 'meetup'
+  },
+  meetingLocation: {
+    type: String,
+    maxlength: 200
+  },
+  meetingDate: {
+    type: Date
+  },
+  message: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A status change; actor is empty for system transitions
+const statusChangeSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  }
+}, { _id: false });
+
+// A time and place suggested for the handoff of an accepted swap
+const meetingSlotSchema = new mongoose.Schema({
+  location: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    min: 15,
+    max: 480,
+    default: 60
+  }
+});
+
+// A change to the meeting: slots proposed by one party or one selected by the other
+const meetingChangeSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['proposed', 'selected'],
+    required: true
+  },
+  slots: [meetingSlotSchema],
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Where a party wants their items mailed
+const shippingAddressSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  line1: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  line2: {
+    type: String,
+    maxlength: 200
+  },
+  city: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  region: {
+    type: String,
+    maxlength: 100
+  },
+  postalCode: {
+    type: String,
+    required: true,
+    maxlength: 20
+  },
+  country: {
+    type: String,
+    required: true,
+    maxlength: 2 // ISO 3166-1 alpha-2
+  },
+  phone: {
+    type: String,
+    maxlength: 30
+  }
+}, { _id: false });
+
+// Items travelling one way in a shipping swap
+const shipmentSchema = new mongoose.Schema({
+  // Recipient's address; never loaded unless explicitly selected
+  address: {
+    type: shippingAddressSchema,
+    select: false
+  },
+  carrier: {
+    type: String,
+    maxlength: 50
+  },
+  trackingNumber: {
+    type: String,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'shipped', 'in_transit', 'delivered'],
+    default: 'pending'
+  },
+  // Latest description reported by the carrier
+  carrierStatus: {
+    type: String,
+    maxlength: 200
+  },
+  shippedAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  deliveryConfirmedBy: {
+    type: String,
+    enum: ['carrier', 'recipient', 'deadline']
+  },
+  lastCheckedAt: {
+    type: Date
+  }
+}, { _id: false });
 
 const swapSchema = new mongoose.Schema({
   requester: {
@@ -6,23 +202,31 @@ const swapSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // First item of the request; its owner is the owner side of the swap
   requestedItem: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Item',
     required: true
   },
+  // Every item requested, all from the same owner. Empty for requests made
+  // before bundles, which only ever asked for requestedItem.
+  requestedItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  }],
   offeredItems: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Item'
   }],
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'completed', 'cancelled'],
+    enum: ['pending', 'accepted', 'rejected', 'completed', 'cancelled', 'expired', 'reversed'],
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
   swapType: {
     type: String,
-    enum: ['direct', 'points'],
+    enum: ['direct', 'points', 'hybrid'],
     required: true
   },
   pointsOffered: {
@@ -30,16 +234,47 @@ const swapSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  // Points currently held in escrow from the requester for this swap
+  pointsHeld: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   message: {
     type: String,
     maxlength: 500,
     default: ''
   },
+  // Offer history; the top-level terms always mirror the latest proposal
+  proposals: [proposalSchema],
+  // Party who has to accept, reject or counter the latest proposal
+  awaitingResponseFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   responseMessage: {
     type: String,
     maxlength: 500,
     default: ''
   },
+  // How the items change hands: in person or by mail
+  fulfillment: {
+    type: String,
+    enum: ['meetup', 'shipping'],
+    default: 'meetup'
+  },
+  // Shipping swaps only. The owner ships the requested item to the
+  // requester, and the requester ships any offered items to the owner.
+  shipping: {
+    toRequester: {
+      type: shipmentSchema,
+      default: () => ({})
+    },
+    toOwner: {
+      type: shipmentSchema,
+      default: () => ({})
+    }
+  },
   meetingLocation: {
     type: String,
     maxlength: 200
@@ -47,6 +282,72 @@ const swapSchema = new mongoose.Schema({
   meetingDate: {
     type: Date
   },
+  // Scheduling of the handoff once the swap is accepted. The selected slot
+  // is copied to meetingLocation and meetingDate.
+  meeting: {
+    // Slots awaiting the other party's choice
+    slots: [meetingSlotSchema],
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedAt: {
+      type: Date
+    },
+    durationMinutes: {
+      type: Number
+    },
+    // Bumped on every selection so calendar apps replace the old event
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    history: [meetingChangeSchema]
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // Deadline for the current stage: pending offers expire and accepted
+  // swaps are escalated (then cancelled) once it passes
+  expiresAt: {
+    type: Date
+  },
+  reminderSentAt: {
+    type: Date
+  },
+  escalatedAt: {
+    type: Date
+  },
+  // Last time the expiry job failed on this swap; it is skipped for a while
+  expiryFailedAt: {
+    type: Date
+  },
+  // Each party confirms the handoff separately. Once one side confirms, the
+  // swap completes at autoCompleteAt unless the other confirms or objects.
+  handoff: {
+    requesterConfirmedAt: {
+      type: Date
+    },
+    ownerConfirmedAt: {
+      type: Date
+    },
+    autoCompleteAt: {
+      type: Date
+    },
+    objection: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        maxlength: 500
+      },
+      createdAt: {
+        type: Date
+      }
+    }
+  },
   isCompleted: {
     type: Boolean,
     default: false
@@ -62,6 +363,7 @@ const swapSchema = new mongoose.Schema({
     type: String,
     maxlength: 200
   },
+  // Ratings left before reviews existed; new ones are stored as Reviews
   rating: {
     requesterRating: {
       rating: { type: Number, min: 1, max: 5 },
@@ -74,6 +376,16 @@ const swapSchema = new mongoose.Schema({
       createdAt: { type: Date }
     }
   },
+  // Unresolved dispute; blocks completion and cancellation until resolved
+  activeDispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  // Circular swap this swap belongs to, if any
+  cycle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SwapCycle'
+  },
   pointsTransaction: {
     fromUser: {
       type: mongoose.Schema.Types.ObjectId,
@@ -89,6 +401,10 @@ const swapSchema = new mongoose.Schema({
     },
     transactionId: {
       type: String
+    },
+    // Set when an accepted swap is cancelled and the payment returned
+    refundTransactionId: {
+      type: String
     }
   }
 }, {
@@ -98,8 +414,10 @@ const swapSchema = new mongoose.Schema({
 // Indexes for better query performance
 swapSchema.index({ requester: 1 });
 swapSchema.index({ requestedItem: 1 });
+swapSchema.index({ requestedItems: 1 });
 swapSchema.index({ status: 1 });
 swapSchema.index({ createdAt: -1 });
+swapSchema.index({ status: 1, expiresAt: 1 });
 
 // Virtual for swap duration
 swapSchema.virtual('duration').get(function() {
@@ -109,52 +427,156 @@ swapSchema.virtual('duration').get(function() {
   return null;
 });
 
-// Method to accept swap
-swapSchema.methods.acceptSwap = function(responseMessage = '') {
-  this.status = 'accepted';
-  this.responseMessage = responseMessage;
-  return this.save();
+// Virtual for the value of the offer compared with the requested items
+// (only available when the requested and offered items are populated)
+swapSchema.virtual('valueBreakdown').get(function() {
+  const requested = this.requestedItems && this.requestedItems.length > 0
+    ? this.requestedItems
+    : [this.requestedItem];
+  if (requested.some(item => !item || item.pointsValue === undefined)) {
+    return undefined;
+  }
+
+  const offered = this.offeredItems || [];
+  if (offered.some(item => !item || item.pointsValue === undefined)) {
+    return undefined;
+  }
+
+  return buildValueBreakdown(getBundleValue(requested), offered, this.pointsOffered);
+});
+
+// Method to get the IDs of every requested item, including requests made
+// before bundles
+swapSchema.methods.getRequestedItemIds = function() {
+  const items = this.requestedItems && this.requestedItems.length > 0
+    ? this.requestedItems
+    : [this.requestedItem];
+  return items.map(item => (item && item._id) || item);
+};
+
+// Method to get the proposal currently on the table
+swapSchema.methods.getLatestProposal = function() {
+  return this.proposals.length > 0 ? this.proposals[this.proposals.length - 1] : null;
+};
+
+// Method to record a proposal and make its terms current, without saving.
+// Proposals that leave the requested items out keep the current bundle.
+swapSchema.methods.applyProposal = function(terms, proposedBy) {
+  const latest = this.getLatestProposal();
+  const requestedItems = terms.requestedItems || this.requestedItems;
+
+  this.proposals.push({
+    version: latest ? latest.version + 1 : 1,
+    proposedBy,
+    swapType: terms.swapType,
+    requestedItems,
+    offeredItems: terms.offeredItems,
+    pointsOffered: terms.pointsOffered,
+    fulfillment: terms.fulfillment,
+    meetingLocation: terms.meetingLocation,
+    meetingDate: terms.meetingDate,
+    message: terms.message || ''
+  });
+
+  if (requestedItems.length > 0) {
+    this.requestedItem = requestedItems[0];
+    this.requestedItems = requestedItems;
+  }
+  this.swapType = terms.swapType;
+  this.offeredItems = terms.offeredItems;
+  this.pointsOffered = terms.pointsOffered;
+  this.fulfillment = terms.fulfillment;
+  this.meetingLocation = terms.meetingLocation;
+  this.meetingDate = terms.meetingDate;
 };
 
-// Method to reject swap
-swapSchema.methods.rejectSwap = function(responseMessage = '') {
-  this.status = 'rejected';
-  this.responseMessage = responseMessage;
-  return this.save();
+// Method to record a new proposal and make its terms current
+swapSchema.methods.addProposal = function(terms, proposedBy, respondentId, session) {
+  this.applyProposal(terms, proposedBy);
+  this.awaitingResponseFrom = respondentId;
+  return this.save({ session });
 };
 
-// Method to complete swap
-swapSchema.methods.completeSwap = function() {
-  this.status = 'completed';
-  this.isCompleted = true;
-  this.completedAt = new Date();
-  return this.save();
+// Method to put forward meeting slots, replacing any the other party
+// hasn't picked from yet
+swapSchema.methods.proposeMeetingSlots = function(slots, userId) {
+  this.meeting.slots = slots;
+  this.meeting.proposedBy = userId;
+  this.meeting.proposedAt = new Date();
+  this.meeting.history.push({ actor: userId, action: 'proposed', slots });
 };
 
-// Method to cancel swap
-swapSchema.methods.cancelSwap = function(userId, reason = '') {
-  this.status = 'cancelled';
-  this.cancelledBy = userId;
-  this.cancellationReason = reason;
-  return this.save();
+// Method to pick one of the proposed slots as the meeting
+swapSchema.methods.selectMeetingSlot = function(slotId, userId) {
+  const slot = this.meeting.slots.id(slotId);
+  if (!slot) {
+    return null;
+  }
+
+  this.meetingLocation = slot.location;
+  this.meetingDate = slot.startsAt;
+  this.meeting.durationMinutes = slot.durationMinutes;
+  this.meeting.sequence += 1;
+  this.meeting.history.push({ actor: userId, action: 'selected', slots: [slot.toObject()] });
+
+  this.meeting.slots = [];
+  this.meeting.proposedBy = undefined;
+  this.meeting.proposedAt = undefined;
+  return slot;
 };
 
-// Method to add rating
-swapSchema.methods.addRating = function(userId, rating, comment) {
-  if (userId.toString() === this.requester.toString()) {
-    this.rating.requesterRating = {
-      rating,
-      comment,
-      createdAt: new Date()
-    };
-  } else {
-    this.rating.ownerRating = {
-      rating,
-      comment,
-      createdAt: new Date()
-    };
+// Method to change status and record who changed it. Transitions are
+// validated and their side effects applied by utils/swapStateMachine.
+swapSchema.methods.recordTransition = function(to, actorId = null, note = '') {
+  this.statusHistory.push({
+    actor: actorId,
+    from: this.status,
+    to,
+    timestamp: new Date(),
+    note
+  });
+  this.status = to;
+};
+
+// Method to check whether a participant has confirmed the handoff
+swapSchema.methods.hasConfirmedReceipt = function(userId) {
+  const isRequester = userId.toString() === this.requester.toString();
+  return Boolean(isRequester ? this.handoff?.requesterConfirmedAt : this.handoff?.ownerConfirmedAt);
+};
+
+// Method to list the shipments a shipping swap needs: the requested item
+// always goes to the requester, offered items (if any) to the owner
+swapSchema.methods.getShipmentDirections = function() {
+  return this.offeredItems.length > 0 ? ['toRequester', 'toOwner'] : ['toRequester'];
+};
+
+// Method to record that a shipment arrived, which also confirms the
+// handoff for its recipient
+swapSchema.methods.markShipmentDelivered = function(direction, confirmedBy, now = new Date()) {
+  const shipment = this.shipping[direction];
+  shipment.status = 'delivered';
+  shipment.deliveredAt = shipment.deliveredAt || now;
+  shipment.deliveryConfirmedBy = confirmedBy;
+
+  const confirmation = direction === 'toRequester' ? 'requesterConfirmedAt' : 'ownerConfirmedAt';
+  if (!this.handoff[confirmation]) {
+    this.handoff[confirmation] = now;
   }
-  return this.save();
+};
+
+// Method to check whether the handoff is settled. Shipping swaps settle when
+// every shipment is delivered. Meetups settle when both parties confirmed,
+// or one did and the objection window passed without an objection.
+swapSchema.methods.isHandoffComplete = function(now = new Date()) {
+  if (this.fulfillment === 'shipping') {
+    return this.getShipmentDirections().every(direction => this.shipping[direction].status === 'delivered');
+  }
+
+  const handoff = this.handoff || {};
+  if (handoff.requesterConfirmedAt && handoff.ownerConfirmedAt) {
+    return true;
+  }
+  return Boolean(handoff.autoCompleteAt && handoff.autoCompleteAt <= now && !handoff.objection?.createdAt);
 };
 
 // Static method to get user's swaps
@@ -171,6 +593,17 @@ swapSchema.statics.getUserSwaps = function(userId, status = null) {
   }
   
   return this.aggregate([
+    {
+      $addFields: {
+        requestedItemIds: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$requestedItems', []] } }, 0] },
+            '$requestedItems',
+            ['$requestedItem']
+          ]
+        }
+      }
+    },
     {
       $lookup: {
         from: 'items',
@@ -180,7 +613,7 @@ swapSchema.statics.getUserSwaps = function(userId, status = null) {
       }
     },
     {
-      $unwind: '$requestedItemData'
+      $unwind: { path: '$requestedItemData', preserveNullAndEmptyArrays: true }
     },
     {
       $match: {
@@ -191,6 +624,14 @@ swapSchema.statics.getUserSwaps = function(userId, status = null) {
         ...(status && { status })
       }
     },
+    {
+      $lookup: {
+        from: 'items',
+        localField: 'requestedItemIds',
+        foreignField: '_id',
+        as: 'requestedItemsData'
+      }
+    },
     {
       $lookup: {
         from: 'users',
@@ -211,7 +652,7 @@ swapSchema.statics.getUserSwaps = function(userId, status = null) {
       }
     },
     {
-      $unwind: '$ownerData'
+      $unwind: { path: '$ownerData', preserveNullAndEmptyArrays: true }
     },
     {
       $lookup: {
@@ -224,7 +665,7 @@ swapSchema.statics.getUserSwaps = function(userId, status = null) {
     {
       $addFields: {
         requestedItem: {
-          _id: '$requestedItemData._id',
+          _id: '$requestedItem',
           title: '$requestedItemData.title',
           images: '$requestedItemData.images',
           pointsValue: '$requestedItemData.pointsValue',
@@ -236,6 +677,18 @@ swapSchema.statics.getUserSwaps = function(userId, status = null) {
             avatar: '$ownerData.avatar'
           }
         },
+        requestedItems: {
+          $map: {
+            input: '$requestedItemsData',
+            as: 'item',
+            in: {
+              _id: '$$item._id',
+              title: '$$item.title',
+              images: '$$item.images',
+              pointsValue: '$$item.pointsValue'
+            }
+          }
+        },
         requester: {
           _id: '$requesterData._id',
           username: '$requesterData.username',
@@ -255,12 +708,26 @@ swapSchema.statics.getUserSwaps = function(userId, status = null) {
               owner: '$$item.owner'
             }
           }
+        },
+        valueBreakdown: {
+          requestedValue: { $sum: '$requestedItemsData.pointsValue' },
+          itemsValue: { $sum: '$offeredItemsData.pointsValue' },
+          points: '$pointsOffered',
+          total: { $add: [{ $sum: '$offeredItemsData.pointsValue' }, '$pointsOffered'] },
+          difference: {
+            $subtract: [
+              { $add: [{ $sum: '$offeredItemsData.pointsValue' }, '$pointsOffered'] },
+              { $sum: '$requestedItemsData.pointsValue' }
+            ]
+          }
         }
       }
     },
     {
       $project: {
         requestedItemData: 0,
+        requestedItemIds: 0,
+        requestedItemsData: 0,
         requesterData: 0,
         ownerData: 0,
         offeredItemsData: 0
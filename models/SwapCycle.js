@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// One member of a circular swap: gives one item and receives another
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  givesItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  receivesItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const swapCycleSchema = new mongoose.Schema({
+  participants: {
+    type: [participantSchema],
+    validate: {
+      validator: participants => participants.length >= 3 && participants.length <= 5,
+      message: 'A circular swap needs 3 to 5 participants'
+    }
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'committed', 'declined', 'expired'],
+    default: 'proposed'
+  },
+  // Sorted item IDs, used to spot the same cycle being proposed twice
+  cycleKey: {
+    type: String,
+    required: true
+  },
+  // Linked swaps created when every participant accepted
+  swaps: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Swap'
+  }],
+  committedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+swapCycleSchema.index({ 'participants.user': 1, status: 1 });
+swapCycleSchema.index({ cycleKey: 1, status: 1 });
+
+// Method to find a user's entry in the cycle
+swapCycleSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(participant =>
+    (participant.user._id || participant.user).toString() === userId.toString()
+  );
+};
+
+// Method to check whether every participant has accepted
+swapCycleSchema.methods.isFullyAccepted = function() {
+  return this.participants.every(participant => participant.status === 'accepted');
+};
+
+// Static method to build the key identifying a cycle's items
+swapCycleSchema.statics.buildCycleKey = function(itemIds) {
+  return itemIds.map(id => id.toString()).sort().join(':');
+};
+
+module.exports = mongoose.model('SwapCycle', swapCycleSchema);
@@ -57,7 +57,13 @@ const userSchema = new mongoose.Schema({
   },
   points: {
     type: Number,
-    default: 100, // Starting points for new users
+    default: 0, // Starting points are granted by the signup reward rule
+    min: 0
+  },
+  // Points reserved for pending swap offers (not spendable)
+  heldPoints: {
+    type: Number,
+    default: 0,
     min: 0
   },
   role: {
@@ -87,6 +93,11 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Items the user would like to receive, used to suggest circular swaps
+  savedWants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  }],
   preferences: {
     categories: [{
       type: String,
@@ -99,6 +110,11 @@ const userSchema = new mongoose.Schema({
     notifications: {
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true }
+    },
+    // Hold incoming points transfers until the user accepts them
+    requireTransferAcceptance: {
+      type: Boolean,
+      default: false
     }
   }
 }, {
@@ -107,6 +123,7 @@ const userSchema = new mongoose.Schema({
 
 // Index for better query performance
 userSchema.index({ role: 1 });
+userSchema.index({ savedWants: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -134,6 +151,16 @@ userSchema.methods.getPublicProfile = function() {
   return userObject;
 };
 
+// Method to get available and held points
+userSchema.methods.getPointsBalance = function() {
+  const held = this.heldPoints || 0;
+  return {
+    available: this.points,
+    held,
+    total: this.points + held
+  };
+};
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
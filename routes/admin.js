@@ -1,10 +1,24 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, validationResult, query, param } = require('express-validator');
 const Item = require('../models/Item');
+const ItemRevision = require('../models/ItemRevision');
 const User = require('../models/User');
 const Swap = require('../models/Swap');
+const PointsTransaction = require('../models/PointsTransaction');
+const RewardRule = require('../models/RewardRule');
+const Dispute = require('../models/Dispute');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { deleteMultipleImages } = require('../middleware/upload');
+const { adjustPoints } = require('../utils/pointsLedger');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { notifyUsers } = require('../utils/notifications');
+const { DISPUTE_OUTCOMES, resolveDispute } = require('../utils/disputes');
+const { reconcileUserCounters } = require('../utils/reconciliation');
+const { REWARD_EVENTS, getRewardRule, getRewardRules } = require('../utils/rewards');
+const { ITEM_STATUSES, transitionItem } = require('../utils/itemStatus');
+const { archiveItem, restoreItem } = require('../utils/itemArchive');
+const { closeCompetingSwaps } = require('../utils/swapStateMachine');
 
 const router = express.Router();
 
@@ -30,7 +44,7 @@ router.get('/dashboard', async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5)
       .populate('owner', 'username firstName lastName')
-      .select('title isApproved isRejected createdAt');
+      .select('title status createdAt');
 
     const stats = {
       users: {
@@ -62,7 +76,7 @@ router.get('/dashboard', async (req, res) => {
 router.get('/items', [
   query('status')
     .optional()
-    .isIn(['all', 'pending', 'approved', 'rejected'])
+    .isIn(['all', 'pending', 'approved', ...ITEM_STATUSES])
     .withMessage('Invalid status'),
   query('search')
     .optional()
@@ -92,14 +106,13 @@ router.get('/items', [
     // Build filter
     const filter = {};
     
-    // Status filter
+    // Status filter; "pending" and "approved" are kept for older clients
     if (status === 'pending') {
-      filter.isApproved = false;
-      filter.isRejected = false;
+      filter.status = 'pending_review';
     } else if (status === 'approved') {
-      filter.isApproved = true;
-    } else if (status === 'rejected') {
-      filter.isRejected = true;
+      filter.status = 'listed';
+    } else if (status && status !== 'all') {
+      filter.status = status;
     }
 
     // Search filter
@@ -122,8 +135,22 @@ router.get('/items', [
 
     const total = await Item.countDocuments(filter);
 
+    // Show moderators what changed on items that edits sent back for review
+    const reviewIds = items.filter(item => item.status === 'pending_review').map(item => item._id);
+    const revisions = reviewIds.length > 0
+      ? await ItemRevision.aggregate([
+        { $match: { item: { $in: reviewIds }, requiresReview: true } },
+        { $sort: { version: -1 } },
+        { $group: { _id: '$item', revision: { $first: '$$ROOT' } } }
+      ])
+      : [];
+    const revisionsByItem = new Map(revisions.map(row => [row._id.toString(), row.revision]));
+
     res.json({
-      items,
+      items: items.map(item => ({
+        ...item.toJSON(),
+        pendingRevision: revisionsByItem.get(item._id.toString()) || null
+      })),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / parseInt(limit)),
@@ -154,14 +181,25 @@ router.put('/items/:id/approve', async (req, res) => {
       });
     }
 
-    if (item.isApproved) {
+    if (item.status === 'listed') {
       return res.status(400).json({ 
         message: 'Item is already approved' 
       });
     }
 
-    item.isApproved = true;
-    item.isRejected = false;
+    if (item.status === 'archived') {
+      return res.status(400).json({ 
+        message: 'Archived items have to be restored, not approved' 
+      });
+    }
+
+    if (item.status === 'draft') {
+      return res.status(400).json({ 
+        message: 'Drafts are published by their owner, not approved' 
+      });
+    }
+
+    transitionItem(item, 'listed');
     item.rejectionReason = null;
     await item.save();
 
@@ -171,6 +209,7 @@ router.put('/items/:id/approve', async (req, res) => {
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Approve item error:', error);
     res.status(500).json({ 
       message: 'Error approving item' 
@@ -199,24 +238,27 @@ router.put('/items/:id/reject', [
 
     const { reason } = req.body;
 
-    const item = await Item.findById(req.params.id);
-
-    if (!item) {
-      return res.status(404).json({ 
-        message: 'Item not found' 
-      });
-    }
+    // Rejecting a listed item takes it off the market, so pending swaps
+    // involving it are closed in the same transaction
+    const item = await runInTransaction(async (session) => {
+      const current = await Item.findById(req.params.id).session(session);
+      if (!current) {
+        throw new ApiError(404, 'Item not found');
+      }
+      if (current.status === 'rejected') {
+        throw new ApiError(400, 'Item is already rejected');
+      }
+      if (current.status === 'archived') {
+        throw new ApiError(400, 'Archived items are already off the market');
+      }
 
-    if (item.isRejected) {
-      return res.status(400).json({ 
-        message: 'Item is already rejected' 
-      });
-    }
+      transitionItem(current, 'rejected');
+      current.rejectionReason = reason;
+      await current.save({ session });
 
-    item.isApproved = false;
-    item.isRejected = true;
-    item.rejectionReason = reason;
-    await item.save();
+      await closeCompetingSwaps([current._id], [], session, 'was rejected by a moderator');
+      return current;
+    });
 
     res.json({
       message: 'Item rejected successfully',
@@ -224,6 +266,7 @@ router.put('/items/:id/reject', [
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Reject item error:', error);
     res.status(500).json({ 
       message: 'Error rejecting item' 
@@ -232,30 +275,17 @@ router.put('/items/:id/reject', [
 });
 
 // @route   DELETE /api/admin/items/:id
-// @desc    Delete an item (admin override)
+// @desc    Delete an item (admin override). It is archived, so swaps that
+//          reference it still show it, and purged after the retention period.
 // @access  Admin only
 router.delete('/items/:id', async (req, res) => {
   try {
-    const item = await Item.findById(req.params.id);
-
-    if (!item) {
-      return res.status(404).json({ 
-        message: 'Item not found' 
-      });
-    }
-
-    // Delete images from Cloudinary
-    if (item.images && item.images.length > 0) {
-      const publicIds = item.images.map(img => img.publicId);
-      await deleteMultipleImages(publicIds);
-    }
-
-    // Delete item
-    await Item.findByIdAndDelete(req.params.id);
-
-    // Update user's items count
-    await User.findByIdAndUpdate(item.owner, {
-      $inc: { itemsCount: -1 }
+    await runInTransaction(async (session) => {
+      const item = await Item.findById(req.params.id).session(session);
+      if (!item) {
+        throw new ApiError(404, 'Item not found');
+      }
+      await archiveItem(item, req.user._id, session);
     });
 
     res.json({
@@ -263,6 +293,7 @@ router.delete('/items/:id', async (req, res) => {
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Delete item error:', error);
     res.status(500).json({ 
       message: 'Error deleting item' 
@@ -270,6 +301,33 @@ router.delete('/items/:id', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/items/:id/restore
+// @desc    Restore an archived item, whoever archived it
+// @access  Admin only
+router.put('/items/:id/restore', async (req, res) => {
+  try {
+    const item = await runInTransaction(async (session) => {
+      const current = await Item.findById(req.params.id).session(session);
+      if (!current) {
+        throw new ApiError(404, 'Item not found');
+      }
+      return restoreItem(current, session);
+    });
+
+    res.json({
+      message: 'Item restored successfully',
+      item
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Restore item error:', error);
+    res.status(500).json({ 
+      message: 'Error restoring item' 
+    });
+  }
+});
+
 // @route   GET /api/admin/users
 // @desc    Get users for admin management
 // @access  Admin only
@@ -395,7 +453,12 @@ router.put('/users/:id/role', [
 router.put('/users/:id/points', [
   body('points')
     .isInt({ min: 0 })
-    .withMessage('Points must be a non-negative integer')
+    .withMessage('Points must be a non-negative integer'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be less than 200 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -407,19 +470,32 @@ router.put('/users/:id/points', [
       });
     }
 
-    const { points } = req.body;
+    const points = parseInt(req.body.points);
+    const { reason } = req.body;
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { points },
-      { new: true }
-    ).select('-password');
+    // Record the difference as an adjustment so the ledger stays complete.
+    // The balance is read in the same transaction, so a ledger write in
+    // between conflicts and the transaction is retried with the new balance.
+    await runInTransaction(async (session) => {
+      const existingUser = await User.findById(req.params.id).select('points').session(session);
+      if (!existingUser) {
+        throw new ApiError(404, 'User not found');
+      }
 
-    if (!user) {
-      return res.status(404).json({ 
-        message: 'User not found' 
-      });
-    }
+      const difference = points - existingUser.points;
+      if (difference !== 0) {
+        await adjustPoints({
+          userId: existingUser._id,
+          amount: difference,
+          reason: 'admin_adjustment',
+          description: reason || 'Balance set by admin',
+          actor: req.user._id,
+          session
+        });
+      }
+    });
+
+    const user = await User.findById(req.params.id).select('-password');
 
     res.json({
       message: 'User points updated successfully',
@@ -427,6 +503,7 @@ router.put('/users/:id/points', [
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Update user points error:', error);
     res.status(500).json({ 
       message: 'Error updating user points' 
@@ -434,6 +511,446 @@ router.put('/users/:id/points', [
   }
 });
 
+// @route   GET /api/admin/points/ledger
+// @desc    Get points ledger entries across all users
+// @access  Admin only
+router.get('/points/ledger', [
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  query('swap')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid swap ID'),
+  query('reason')
+    .optional()
+    .isIn(PointsTransaction.schema.path('reason').enumValues)
+    .withMessage('Invalid reason'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { user, swap, reason, from, to, page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+    if (user) filter.user = user;
+    if (swap) filter.swap = swap;
+    if (reason) filter.reason = reason;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [transactions, total] = await Promise.all([
+      PointsTransaction.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'username firstName lastName email')
+        .populate('actor', 'username firstName lastName')
+        .populate('swap', 'status swapType')
+        .populate('item', 'title'),
+      PointsTransaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      transactions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + transactions.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get points ledger error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching points ledger' 
+    });
+  }
+});
+
+// @route   GET /api/admin/rewards
+// @desc    Get reward rules
+// @access  Admin only
+router.get('/rewards', async (req, res) => {
+  try {
+    const rules = await getRewardRules();
+
+    res.json({
+      rules
+    });
+
+  } catch (error) {
+    console.error('Get reward rules error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching reward rules' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/rewards/:event
+// @desc    Create or update the reward rule for an event
+// @access  Admin only
+router.put('/rewards/:event', [
+  param('event')
+    .isIn(REWARD_EVENTS)
+    .withMessage('Invalid reward event'),
+  body('points')
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Points must be between 0 and 10000'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('maxPerDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Max per day must be a positive integer or null'),
+  body('maxPerUser')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Max per user must be a positive integer or null')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { event } = req.params;
+    const current = await getRewardRule(event);
+
+    const update = {
+      points: current.points,
+      enabled: current.enabled,
+      description: current.description,
+      maxPerDay: current.maxPerDay,
+      maxPerUser: current.maxPerUser,
+      updatedBy: req.user._id
+    };
+
+    for (const field of ['points', 'enabled', 'description', 'maxPerDay', 'maxPerUser']) {
+      if (req.body[field] !== undefined) {
+        update[field] = req.body[field];
+      }
+    }
+
+    const rule = await RewardRule.findOneAndUpdate(
+      { event },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Reward rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update reward rule error:', error);
+    res.status(500).json({ 
+      message: 'Error updating reward rule' 
+    });
+  }
+});
+
+// @route   POST /api/admin/reconcile
+// @desc    Recompute user counters and balances, optionally fixing drift
+// @access  Admin only
+router.post('/reconcile', [
+  body('apply')
+    .optional()
+    .isBoolean()
+    .withMessage('Apply must be a boolean'),
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const apply = req.body.apply === true || req.body.apply === 'true';
+    const report = await reconcileUserCounters({
+      apply,
+      userId: req.body.userId || null
+    });
+
+    res.json({
+      message: apply ? 'Reconciliation applied' : 'Reconciliation dry run completed',
+      report
+    });
+
+  } catch (error) {
+    console.error('Reconcile counters error:', error);
+    res.status(500).json({ 
+      message: 'Error reconciling user counters' 
+    });
+  }
+});
+
+// @route   GET /api/admin/disputes
+// @desc    Get swap disputes for review
+// @access  Admin only
+router.get('/disputes', [
+  query('status')
+    .optional()
+    .isIn(['open', 'in_review', 'resolved'])
+    .withMessage('Invalid status'),
+  query('assignedTo')
+    .optional()
+    .custom(value => value === 'me' || value === 'none' || mongoose.isValidObjectId(value))
+    .withMessage('assignedTo must be a user ID, "me" or "none"'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { status, assignedTo, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+    if (status) filter.status = status;
+    if (assignedTo === 'me') {
+      filter.assignedTo = req.user._id;
+    } else if (assignedTo === 'none') {
+      filter.assignedTo = null;
+    } else if (assignedTo) {
+      filter.assignedTo = assignedTo;
+    }
+
+    const disputes = await Dispute.find(filter)
+      .select('-evidence.data -messages')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('openedBy', 'username firstName lastName')
+      .populate('against', 'username firstName lastName')
+      .populate('assignedTo', 'username firstName lastName');
+
+    const total = await Dispute.countDocuments(filter);
+
+    res.json({
+      disputes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + disputes.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get admin disputes error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching disputes' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/disputes/:id/assign
+// @desc    Assign a dispute to an admin for review
+// @access  Admin only
+router.put('/disputes/:id/assign', [
+  body('adminId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid admin ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const adminId = req.body.adminId || req.user._id;
+
+    const admin = await User.findById(adminId).select('role');
+    if (!admin || admin.role !== 'admin') {
+      return res.status(400).json({ 
+        message: 'Disputes can only be assigned to admins' 
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ 
+        message: 'Dispute not found' 
+      });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({ 
+        message: 'Dispute is already resolved' 
+      });
+    }
+
+    dispute.assignedTo = admin._id;
+    dispute.assignedAt = new Date();
+    dispute.status = 'in_review';
+    await dispute.save();
+
+    await dispute.populate('assignedTo', 'username firstName lastName');
+
+    res.json({
+      message: 'Dispute assigned successfully',
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Assign dispute error:', error);
+    res.status(500).json({ 
+      message: 'Error assigning dispute' 
+    });
+  }
+});
+
+// @route   PUT /api/admin/disputes/:id/resolve
+// @desc    Resolve a dispute, applying its outcome to the swap and balances
+// @access  Admin only
+router.put('/disputes/:id/resolve', [
+  body('outcome')
+    .isIn(DISPUTE_OUTCOMES)
+    .withMessage(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`),
+  body('points')
+    .if(body('outcome').isIn(['refund_points', 'penalize_user']))
+    .isInt({ min: 1 })
+    .withMessage('Points must be a positive integer'),
+  body('userId')
+    .if(body('outcome').isIn(['refund_points', 'penalize_user']))
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { outcome, userId, note } = req.body;
+    const points = req.body.points !== undefined ? parseInt(req.body.points) : undefined;
+
+    const dispute = await runInTransaction(async (session) => {
+      const current = await Dispute.findById(req.params.id).session(session);
+      if (!current) {
+        throw new ApiError(404, 'Dispute not found');
+      }
+      if (current.status === 'resolved') {
+        throw new ApiError(400, 'Dispute is already resolved');
+      }
+
+      const swap = await Swap.findById(current.swap).session(session);
+
+      const resolved = await resolveDispute(current, swap, {
+        outcome,
+        points,
+        userId,
+        note,
+        adminId: req.user._id
+      }, session);
+
+      await notifyUsers([resolved.openedBy, resolved.against], {
+        type: 'dispute_resolved',
+        title: 'Dispute resolved',
+        message: note || `The dispute was resolved with the outcome: ${outcome.replace(/_/g, ' ')}.`,
+        swap: swap._id,
+        dispute: resolved._id
+      }, session);
+
+      return resolved;
+    });
+
+    res.json({
+      message: 'Dispute resolved successfully',
+      dispute
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ 
+      message: 'Error resolving dispute' 
+    });
+  }
+});
+
 // @route   GET /api/admin/reports
 // @desc    Get platform reports
 // @access  Admin only
@@ -486,16 +1003,15 @@ router.get('/reports', [
           Item.countDocuments({ createdAt: { $gte: startDate } }),
           Item.countDocuments({ 
             createdAt: { $gte: startDate },
-            isApproved: true 
+            status: { $in: ['listed', 'reserved', 'swapped', 'redeemed'] } 
           }),
           Item.countDocuments({ 
             createdAt: { $gte: startDate },
-            isRejected: true 
+            status: 'rejected' 
           }),
           Item.countDocuments({ 
             createdAt: { $gte: startDate },
-            isApproved: false,
-            isRejected: false 
+            status: 'pending_review' 
           })
         ]);
 
@@ -4,6 +4,8 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
 const { uploadSingle, handleUploadError, processSingleFile } = require('../middleware/upload');
+const { grantReward } = require('../utils/rewards');
+const { runInTransaction } = require('../utils/transaction');
 
 const router = express.Router();
 
@@ -60,16 +62,29 @@ router.post('/register', [
       });
     }
 
-    // Create new user
-    const user = new User({
-      email,
-      password,
-      firstName,
-      lastName,
-      username
-    });
+    // Create new user and grant the signup reward together
+    const user = await runInTransaction(async (session) => {
+      const newUser = new User({
+        email,
+        password,
+        firstName,
+        lastName,
+        username
+      });
+
+      await newUser.save({ session });
 
-    await user.save();
+      const reward = await grantReward('signup', {
+        userId: newUser._id,
+        actor: newUser._id,
+        session
+      });
+      if (reward) {
+        newUser.points = reward.balance;
+      }
+
+      return newUser;
+    });
 
     // Generate token
     const token = generateToken(user._id);
@@ -151,7 +166,8 @@ router.post('/login', [
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     res.json({
-      user: req.user.getPublicProfile()
+      user: req.user.getPublicProfile(),
+      points: req.user.getPointsBalance()
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Dispute = require('../models/Dispute');
+const Swap = require('../models/Swap');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadMultiple, handleUploadError, processUploadedFiles } = require('../middleware/upload');
+const { sendApiError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { notifyUsers } = require('../utils/notifications');
+const { openDispute } = require('../utils/disputes');
+
+const router = express.Router();
+
+// Evidence images can be large, so lists leave them out
+const LIST_SELECT = '-evidence.data -messages';
+
+const disputePopulate = [
+  { path: 'openedBy', select: 'username firstName lastName avatar' },
+  { path: 'against', select: 'username firstName lastName avatar' },
+  { path: 'assignedTo', select: 'username firstName lastName' },
+  { path: 'messages.author', select: 'username firstName lastName avatar' },
+  { path: 'swap', select: 'status swapType requestedItem offeredItems pointsOffered' }
+];
+
+// Convert uploaded evidence to base64 images attributed to a user
+const toEvidence = (files, userId) => {
+  return processUploadedFiles(files || []).map(image => ({ ...image, uploadedBy: userId }));
+};
+
+// @route   POST /api/disputes
+// @desc    Open a dispute on an accepted or completed swap
+// @access  Private (swap participants only)
+router.post('/', [
+  authenticateToken,
+  uploadMultiple,
+  handleUploadError,
+  body('swap')
+    .isMongoId()
+    .withMessage('Valid swap ID is required'),
+  body('reason')
+    .isIn(Dispute.schema.path('reason').enumValues)
+    .withMessage('Invalid dispute reason'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Description is required and must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    // Convert uploads first so temporary files are always cleaned up
+    const evidence = toEvidence(req.files, req.user._id);
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { reason, description } = req.body;
+
+    const swap = await Swap.findById(req.body.swap).populate('requestedItem', 'owner title');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || ownerId.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    const otherPartyId = isRequester ? ownerId : swap.requester;
+
+    const dispute = await runInTransaction((session) => openDispute(swap, {
+      openedBy: req.user._id,
+      against: otherPartyId,
+      reason,
+      description,
+      evidence
+    }, session));
+
+    await dispute.populate(disputePopulate);
+
+    res.status(201).json({
+      message: 'Dispute opened successfully',
+      dispute
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Open dispute error:', error);
+    res.status(500).json({ 
+      message: 'Error opening dispute' 
+    });
+  }
+});
+
+// @route   GET /api/disputes
+// @desc    Get disputes the current user opened or is part of
+// @access  Private
+router.get('/', [
+  authenticateToken,
+  query('status')
+    .optional()
+    .isIn(['open', 'in_review', 'resolved'])
+    .withMessage('Invalid status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {
+      $or: [{ openedBy: req.user._id }, { against: req.user._id }]
+    };
+    if (status) filter.status = status;
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(filter)
+        .select(LIST_SELECT)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('openedBy', 'username firstName lastName avatar')
+        .populate('against', 'username firstName lastName avatar'),
+      Dispute.countDocuments(filter)
+    ]);
+
+    res.json({
+      disputes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + disputes.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching disputes' 
+    });
+  }
+});
+
+// @route   GET /api/disputes/:id
+// @desc    Get a dispute with its evidence and messages
+// @access  Private (participants and admins)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id).populate(disputePopulate);
+
+    if (!dispute) {
+      return res.status(404).json({ 
+        message: 'Dispute not found' 
+      });
+    }
+
+    if (req.user.role !== 'admin' && !dispute.isParticipant(req.user._id)) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    res.json({
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching dispute' 
+    });
+  }
+});
+
+// @route   POST /api/disputes/:id/messages
+// @desc    Post a message, optionally with more evidence, to a dispute
+// @access  Private (participants and admins)
+router.post('/:id/messages', [
+  authenticateToken,
+  uploadMultiple,
+  handleUploadError,
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message is required and must be less than 1000 characters')
+], async (req, res) => {
+  try {
+    // Convert uploads first so temporary files are always cleaned up
+    const evidence = toEvidence(req.files, req.user._id);
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ 
+        message: 'Dispute not found' 
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && !dispute.isParticipant(req.user._id)) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({ 
+        message: 'Dispute is already resolved' 
+      });
+    }
+
+    dispute.evidence.push(...evidence);
+    await dispute.addMessage(req.user._id, req.body.body, isAdmin);
+
+    // Let everyone else on the thread know
+    const recipients = [dispute.openedBy, dispute.against, dispute.assignedTo]
+      .filter(userId => userId && userId.toString() !== req.user._id.toString());
+    await notifyUsers(recipients, {
+      type: 'dispute_message',
+      title: 'New dispute message',
+      message: req.body.body.slice(0, 200),
+      swap: dispute.swap,
+      dispute: dispute._id
+    });
+
+    await dispute.populate(disputePopulate);
+
+    res.status(201).json({
+      message: 'Message posted successfully',
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Post dispute message error:', error);
+    res.status(500).json({ 
+      message: 'Error posting message' 
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,41 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Item = require('../models/Item');
+const ImportJob = require('../models/ImportJob');
+const ItemRevision = require('../models/ItemRevision');
 const User = require('../models/User');
 const { authenticateToken, optionalAuth, requireOwnership } = require('../middleware/auth');
-const { uploadMultiple, handleUploadError, processUploadedFiles } = require('../middleware/upload');
+const { uploadMultiple, uploadImport, handleUploadError, processUploadedFiles } = require('../middleware/upload');
+const { adjustPoints } = require('../utils/pointsLedger');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { grantReward } = require('../utils/rewards');
+const { canTransitionItem } = require('../utils/itemStatus');
+const { closeCompetingSwaps } = require('../utils/swapStateMachine');
+const { ITEM_RETENTION_DAYS, archiveItem, restoreItem } = require('../utils/itemArchive');
+const { EDITABLE_ITEM_FIELDS, reviseItem } = require('../utils/itemRevisions');
+const { validateItemForPublishing, publishItem } = require('../utils/itemPublishing');
+const { removeFile, prepareImport, createImportJob, runImportJob } = require('../utils/itemImport');
+const { itemValidation } = require('../utils/validation');
+const { suggestPointsValue, checkListingPrice } = require('../utils/valuation');
 
 const router = express.Router();
 
+// Fields that feed into the suggested points value
+const PRICING_FIELDS = ['pointsValue', 'category', 'condition', 'brand', 'originalPrice', 'age', 'season'];
+
+// Statuses in which owners can edit their items
+const EDITABLE_STATUSES = ['draft', 'pending_review', 'listed', 'rejected'];
+
+// Attach a pricing flag to an item; valuation problems never block a listing
+const applyPricingFlag = async (item) => {
+  try {
+    item.pricingFlag = await checkListingPrice(item);
+  } catch (error) {
+    console.error('Pricing check error:', error);
+  }
+};
+
 // @route   GET /api/items
 // @desc    Get all items with filtering and pagination
 // @access  Public
@@ -60,9 +89,7 @@ router.get('/', [
 
     // Build filter object
     const filter = {
-      isAvailable: true,
-      isApproved: true,
-      isRejected: false
+      status: 'listed'
     };
 
     if (category) filter.category = category;
@@ -139,6 +166,246 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+// @route   GET /api/items/archived
+// @desc    Get the current user's archived items that can still be restored
+// @access  Private
+router.get('/archived', authenticateToken, async (req, res) => {
+  try {
+    const items = await Item.find({
+      owner: req.user._id,
+      status: 'archived',
+      purgedAt: null
+    })
+    .select('-likedBy')
+    .sort({ deletedAt: -1 });
+
+    res.json({
+      items,
+      retentionDays: ITEM_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Get archived items error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching archived items' 
+    });
+  }
+});
+
+// @route   GET /api/items/drafts
+// @desc    Get the current user's drafts, including scheduled ones
+// @access  Private
+router.get('/drafts', authenticateToken, async (req, res) => {
+  try {
+    const items = await Item.find({
+      owner: req.user._id,
+      status: 'draft'
+    })
+    .select('-likedBy')
+    .sort({ updatedAt: -1 });
+
+    res.json({
+      items
+    });
+
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching drafts' 
+    });
+  }
+});
+
+// @route   GET /api/items/import
+// @desc    Get the current user's recent bulk imports
+// @access  Private
+router.get('/import', authenticateToken, async (req, res) => {
+  try {
+    const jobs = await ImportJob.find({ owner: req.user._id })
+      .select('-results')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      jobs
+    });
+
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching imports' 
+    });
+  }
+});
+
+// @route   GET /api/items/import/:jobId
+// @desc    Get the progress and per-row results of a bulk import
+// @access  Private (owner or admin)
+router.get('/import/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.jobId)
+      .populate('results.item', 'title status');
+
+    if (!job) {
+      return res.status(404).json({ 
+        message: 'Import not found' 
+      });
+    }
+
+    if (job.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    res.json({
+      job
+    });
+
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching import' 
+    });
+  }
+});
+
+// @route   POST /api/items/import
+// @desc    Import items from a CSV or JSON manifest and a zip of their
+//          images. Rows are validated like new listings; valid rows are
+//          created in the background, or only previewed with dryRun.
+// @access  Private
+router.post('/import', [
+  authenticateToken,
+  uploadImport,
+  handleUploadError,
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean()
+], async (req, res) => {
+  const manifest = req.files?.manifest?.[0];
+  const archive = req.files?.archive?.[0];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    if (!manifest || !archive) {
+      return res.status(400).json({ 
+        message: 'A manifest and an image archive are required' 
+      });
+    }
+
+    const { format, rows } = await prepareImport({ manifest, archive, ownerId: req.user._id });
+    const preview = rows.map(({ row, fields, images, errors: rowErrors }) => ({
+      row,
+      title: fields.title,
+      images,
+      valid: rowErrors.length === 0,
+      errors: rowErrors
+    }));
+    const validRows = preview.filter(row => row.valid).length;
+
+    if (req.body.dryRun) {
+      return res.json({
+        dryRun: true,
+        totalRows: rows.length,
+        validRows,
+        invalidRows: rows.length - validRows,
+        rows: preview
+      });
+    }
+
+    if (validRows === 0) {
+      return res.status(400).json({ 
+        message: 'None of the rows in the manifest are valid',
+        rows: preview 
+      });
+    }
+
+    const job = await createImportJob({
+      ownerId: req.user._id,
+      format,
+      rows,
+      archivePath: archive.path
+    });
+
+    // Start straight away; the scheduled import job picks it up if this run
+    // is cut short
+    runImportJob(job._id).catch(error => {
+      console.error('Import job error:', error);
+    });
+
+    res.status(202).json({
+      message: `Importing ${validRows} of ${rows.length} items`,
+      job,
+      rows: preview
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Import items error:', error);
+    res.status(500).json({ 
+      message: 'Error importing items' 
+    });
+  } finally {
+    removeFile(manifest?.path);
+    removeFile(archive?.path);
+  }
+});
+
+// @route   GET /api/items/valuation
+// @desc    Suggest a points value range for a listing
+// @access  Public
+router.get('/valuation', [
+  query('category').isIn(['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories']).withMessage('Invalid category'),
+  query('condition').isIn(['new', 'like-new', 'good', 'fair', 'poor']).withMessage('Invalid condition'),
+  query('brand').optional().trim().isLength({ max: 50 }).withMessage('Brand must be less than 50 characters'),
+  query('originalPrice').optional().isFloat({ min: 0 }).withMessage('Original price must be a non-negative number'),
+  query('age').optional().isInt({ min: 0 }).withMessage('Age must be a non-negative number of months'),
+  query('season').optional().isIn(['spring', 'summer', 'fall', 'winter', 'all-season']).withMessage('Invalid season')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { category, condition, brand, originalPrice, age, season } = req.query;
+
+    const valuation = await suggestPointsValue({
+      category,
+      condition,
+      brand,
+      originalPrice: originalPrice !== undefined ? parseFloat(originalPrice) : undefined,
+      age: age !== undefined ? parseInt(age) : undefined,
+      season
+    });
+
+    res.json({
+      valuation
+    });
+
+  } catch (error) {
+    console.error('Get valuation error:', error);
+    res.status(500).json({ 
+      message: 'Error estimating item value' 
+    });
+  }
+});
+
 // @route   GET /api/items/:id
 // @desc    Get item by ID
 // @access  Public
@@ -147,7 +414,9 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const item = await Item.findById(req.params.id)
       .populate('owner', 'username firstName lastName avatar rating bio location createdAt');
 
-    if (!item) {
+    // Drafts are only visible to their owner
+    const isOwner = req.user && item?.owner?._id.toString() === req.user._id.toString();
+    if (!item || (item.status === 'draft' && !isOwner)) {
       return res.status(404).json({ 
         message: 'Item not found' 
       });
@@ -173,8 +442,72 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/items/:id/revisions
+// @desc    Get the edit history of an item, newest first
+// @access  Private (owner or admin)
+router.get('/:id/revisions', [
+  authenticateToken,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const item = await Item.findById(req.params.id).select('owner title status');
+
+    if (!item) {
+      return res.status(404).json({ 
+        message: 'Item not found' 
+      });
+    }
+
+    if (item.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [revisions, total] = await Promise.all([
+      ItemRevision.find({ item: item._id })
+        .populate('editor', 'username firstName lastName avatar')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ItemRevision.countDocuments({ item: item._id })
+    ]);
+
+    res.json({
+      item,
+      revisions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + revisions.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get item revisions error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching item revisions' 
+    });
+  }
+});
+
 // @route   POST /api/items/:id/mark-unavailable
-// @desc    Owner marks their item as unavailable (removes from database)
+// @desc    Owner takes their item off the market (archives it)
 // @access  Private (owner only)
 router.post('/:id/mark-unavailable', authenticateToken, async (req, res) => {
   try {
@@ -193,26 +526,24 @@ router.post('/:id/mark-unavailable', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if item is available
-    if (!item.isAvailable) {
+    // Items in a swap or already gone can't be removed
+    if (item.status !== 'listed') {
       return res.status(400).json({ 
         message: 'Item is already unavailable' 
       });
     }
 
-    // Delete item from database
-    await Item.findByIdAndDelete(req.params.id);
-
-    // Update user's items count
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { itemsCount: -1 }
+    await runInTransaction(async (session) => {
+      const current = await Item.findById(item._id).session(session);
+      await archiveItem(current, req.user._id, session);
     });
 
     res.json({
-      message: 'Item marked as unavailable and removed successfully'
+      message: `Item marked as unavailable. It can be restored for ${ITEM_RETENTION_DAYS} days.`
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Mark unavailable error:', error);
     res.status(500).json({ 
       message: 'Error marking item as unavailable' 
@@ -220,6 +551,38 @@ router.post('/:id/mark-unavailable', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/items/:id/restore
+// @desc    Restore an item the owner archived
+// @access  Private (owner only)
+router.post('/:id/restore', [authenticateToken, requireOwnership(Item)], async (req, res) => {
+  try {
+    const item = req.resource;
+
+    if (item.archivedBy && item.archivedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Items removed by an admin can only be restored by an admin' 
+      });
+    }
+
+    const restored = await runInTransaction(async (session) => {
+      const current = await Item.findById(item._id).session(session);
+      return restoreItem(current, session);
+    });
+
+    res.json({
+      message: 'Item restored successfully',
+      item: restored
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Restore item error:', error);
+    res.status(500).json({ 
+      message: 'Error restoring item' 
+    });
+  }
+});
+
 // @route   POST /api/items
 // @desc    Create a new item
 // @access  Private
@@ -227,45 +590,7 @@ router.post('/', [
   authenticateToken,
   uploadMultiple,
   handleUploadError,
-  body('title')
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Title is required and must be less than 100 characters'),
-  body('description')
-    .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Description is required and must be less than 1000 characters'),
-  body('category')
-    .isIn(['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'])
-    .withMessage('Invalid category'),
-  body('brand')
-    .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage('Brand must be less than 50 characters'),
-  body('size')
-    .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size'])
-    .withMessage('Invalid size'),
-  body('condition')
-    .isIn(['new', 'like-new', 'good', 'fair', 'poor'])
-    .withMessage('Invalid condition'),
-  body('location')
-    .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Location must be less than 100 characters'),
-  body('pointsValue')
-    .isInt({ min: 1, max: 10000 })
-    .withMessage('Points value must be between 1 and 10000'),
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  body('tags.*')
-    .optional()
-    .trim()
-    .isLength({ max: 20 })
-    .withMessage('Each tag must be less than 20 characters')
+  ...itemValidation()
 ], async (req, res) => {
   try {
     console.log('=== ITEM CREATION DEBUG ===');
@@ -304,13 +629,19 @@ router.post('/', [
     const images = processUploadedFiles(req.files);
 
     // Create item
+    // New listings go on the market straight away; moderators can reject them
     const item = new Item({
       ...req.body,
       owner: req.user._id,
+      status: 'listed',
+      lockedBySwap: null,
       images,
       tags: req.body.tags || []
     });
 
+    // Flag listings priced far outside the suggested range
+    await applyPricingFlag(item);
+
     await item.save();
     console.log('Item saved successfully:', item._id);
 
@@ -320,6 +651,16 @@ router.post('/', [
     });
     console.log('User items count updated for user:', req.user._id);
 
+    // Reward the user's first listing
+    const listingsCount = await Item.countDocuments({ owner: req.user._id, status: { $ne: 'draft' } });
+    if (listingsCount === 1) {
+      await grantReward('first_listing', {
+        userId: req.user._id,
+        item: item._id,
+        actor: req.user._id
+      });
+    }
+
     // Populate owner info
     await item.populate('owner', 'username firstName lastName avatar');
 
@@ -337,63 +678,143 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/items/drafts
+// @desc    Save a draft listing. Only the fields sent are checked and images
+//          are optional; the draft is validated in full when published.
+// @access  Private
+router.post('/drafts', [
+  authenticateToken,
+  uploadMultiple,
+  handleUploadError,
+  ...itemValidation({ partial: true })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const fields = {};
+    for (const field of EDITABLE_ITEM_FIELDS) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    }
+
+    // Drafts aren't on the market, so they don't count towards the owner's
+    // items until they are published
+    const item = new Item({
+      ...fields,
+      owner: req.user._id,
+      status: 'draft',
+      lockedBySwap: null,
+      images: req.files && req.files.length > 0 ? processUploadedFiles(req.files) : [],
+      tags: req.body.tags || []
+    });
+    await item.save();
+
+    await item.populate('owner', 'username firstName lastName avatar');
+
+    res.status(201).json({
+      message: 'Draft saved successfully',
+      item
+    });
+
+  } catch (error) {
+    console.error('Create draft error:', error);
+    res.status(500).json({ 
+      message: 'Error saving draft' 
+    });
+  }
+});
+
+// @route   POST /api/items/:id/publish
+// @desc    Publish a draft now, or schedule it with publishAt. The draft must
+//          pass the same validation as a new listing.
+// @access  Private (owner only)
+router.post('/:id/publish', [
+  authenticateToken,
+  requireOwnership(Item),
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Publish time must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+    if (publishAt && publishAt <= new Date()) {
+      return res.status(400).json({ 
+        message: 'Publish time must be in the future' 
+      });
+    }
+
+    if (req.resource.status !== 'draft') {
+      return res.status(400).json({ 
+        message: 'Only drafts can be published' 
+      });
+    }
+
+    const problems = await validateItemForPublishing(req.resource);
+    if (problems.length > 0) {
+      return res.status(400).json({ 
+        message: 'Draft is incomplete',
+        errors: problems 
+      });
+    }
+
+    const item = await runInTransaction(async (session) => {
+      const current = await Item.findById(req.params.id).session(session);
+      if (current.status !== 'draft') {
+        throw new ApiError(400, 'Only drafts can be published');
+      }
+
+      if (publishAt) {
+        current.publishAt = publishAt;
+        await current.save({ session });
+        return current;
+      }
+      return publishItem(current, session);
+    });
+
+    await item.populate('owner', 'username firstName lastName avatar');
+
+    res.json({
+      message: item.status === 'draft'
+        ? `Item will be published on ${item.publishAt.toISOString()}`
+        : 'Item published successfully',
+      item
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Publish item error:', error);
+    res.status(500).json({ 
+      message: 'Error publishing item' 
+    });
+  }
+});
+
 // @route   PUT /api/items/:id
-// @desc    Update an item
+// @desc    Update an item, replacing its images if new ones are uploaded.
+//          Each edit is stored as a revision.
 // @access  Private (owner only)
 router.put('/:id', [
   authenticateToken,
   requireOwnership(Item),
-  body('title')
-    .optional()
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Title must be less than 100 characters'),
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Description must be less than 1000 characters'),
-  body('category')
-    .optional()
-    .isIn(['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'])
-    .withMessage('Invalid category'),
-
-  body('size')
-    .optional()
-    .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size'])
-    .withMessage('Invalid size'),
-  body('condition')
-    .optional()
-    .isIn(['new', 'like-new', 'good', 'fair', 'poor'])
-    .withMessage('Invalid condition'),
-  body('location')
-    .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Location must be less than 100 characters'),
-  body('pointsValue')
-    .optional()
-    .isInt({ min: 1, max: 10000 })
-    .withMessage('Points value must be between 1 and 10000'),
-  body('brand')
-    .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage('Brand must be less than 50 characters'),
-  body('material')
-    .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Material must be less than 100 characters'),
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  body('tags.*')
-    .optional()
-    .trim()
-    .isLength({ max: 20 })
-    .withMessage('Each tag must be less than 20 characters')
+  uploadMultiple,
+  handleUploadError,
+  ...itemValidation({ partial: true })
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -405,21 +826,52 @@ router.put('/:id', [
       });
     }
 
-    const updateData = { ...req.body };
-    delete updateData.owner; // Prevent changing owner
+    // Items in a swap or that changed hands keep the details they were agreed on
+    if (!EDITABLE_STATUSES.includes(req.resource.status)) {
+      return res.status(400).json({ 
+        message: 'This item can no longer be edited' 
+      });
+    }
+
+    // Only listing details can be edited; status, ownership and moderation
+    // fields change through their own endpoints
+    const changes = {};
+    for (const field of EDITABLE_ITEM_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (req.files && req.files.length > 0) {
+      changes.images = processUploadedFiles(req.files);
+    }
 
-    const updatedItem = await Item.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('owner', 'username firstName lastName avatar');
+    const { item, revision } = await runInTransaction(async (session) => {
+      const current = await Item.findById(req.params.id).session(session);
+      if (!EDITABLE_STATUSES.includes(current.status)) {
+        throw new ApiError(400, 'This item can no longer be edited');
+      }
+
+      // Re-check pricing when any valuation input changes
+      if (PRICING_FIELDS.some(field => changes[field] !== undefined)) {
+        const pricingCheck = { ...current.toObject(), ...changes };
+        await applyPricingFlag(pricingCheck);
+        current.pricingFlag = pricingCheck.pricingFlag;
+      }
+
+      const saved = await reviseItem(current, changes, req.user._id, session);
+      return { item: current, revision: saved };
+    });
+
+    await item.populate('owner', 'username firstName lastName avatar');
 
     res.json({
-      message: 'Item updated successfully',
-      item: updatedItem
+      message: revision && revision.requiresReview
+        ? 'Item updated successfully. It will be listed again once a moderator reviews the changes.'
+        : 'Item updated successfully',
+      item,
+      revision
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Update item error:', error);
     res.status(500).json({ 
       message: 'Error updating item' 
@@ -428,31 +880,22 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/items/:id
-// @desc    Delete an item
+// @desc    Delete an item. It is archived, so swaps that reference it still
+//          show it, and purged after the retention period.
 // @access  Private (owner only)
 router.delete('/:id', [authenticateToken, requireOwnership(Item)], async (req, res) => {
   try {
-    const item = req.resource;
-
-    // Delete images from Cloudinary
-    if (item.images && item.images.length > 0) {
-      const publicIds = item.images.map(img => img.publicId);
-      await deleteMultipleImages(publicIds);
-    }
-
-    // Delete item
-    await Item.findByIdAndDelete(req.params.id);
-
-    // Update user's items count
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { itemsCount: -1 }
+    await runInTransaction(async (session) => {
+      const item = await Item.findById(req.params.id).session(session);
+      await archiveItem(item, req.user._id, session);
     });
 
     res.json({
-      message: 'Item deleted successfully'
+      message: `Item deleted successfully. It can be restored for ${ITEM_RETENTION_DAYS} days.`
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Delete item error:', error);
     res.status(500).json({ 
       message: 'Error deleting item' 
@@ -510,7 +953,7 @@ router.post('/:id/redeem-owner', authenticateToken, async (req, res) => {
     }
 
     // Check if item is available
-    if (!item.isAvailable) {
+    if (!canTransitionItem(item.status, 'redeemed')) {
       return res.status(400).json({ 
         message: 'Item is not available for redemption' 
       });
@@ -523,31 +966,51 @@ router.post('/:id/redeem-owner', authenticateToken, async (req, res) => {
       });
     }
 
-    // Deduct points from user
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { points: -item.pointsValue }
-    });
+    // Deduct points and take the item off the market in one transaction
+    const balance = await runInTransaction(async (session) => {
+      const redeemed = await Item.findOneAndUpdate(
+        { _id: req.params.id, owner: req.user._id, status: item.status },
+        {
+          status: 'redeemed',
+          redeemedBy: req.user._id,
+          redeemedAt: new Date(),
+          redemptionType: 'owner_purchase'
+        },
+        { new: true, session }
+      );
+
+      if (!redeemed) {
+        throw new ApiError(400, 'Item is not available for redemption');
+      }
 
-    // Mark item as unavailable and add redemption info
-    await Item.findByIdAndUpdate(req.params.id, {
-      isAvailable: false,
-      redeemedBy: req.user._id,
-      redeemedAt: new Date(),
-      redemptionType: 'owner_purchase'
-    });
+      await closeCompetingSwaps([redeemed._id], [], session, 'was redeemed by its owner');
 
-    // Update user's items count
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { itemsCount: -1 }
+      const result = await adjustPoints({
+        userId: req.user._id,
+        amount: -redeemed.pointsValue,
+        reason: 'owner_redemption',
+        description: `Redeemed own item "${redeemed.title}"`,
+        item: redeemed._id,
+        actor: req.user._id,
+        session
+      });
+
+      // Update user's items count
+      await User.findByIdAndUpdate(req.user._id, {
+        $inc: { itemsCount: -1 }
+      }, { session });
+
+      return result.balance;
     });
 
     res.json({
       message: 'Item redeemed successfully',
       pointsDeducted: item.pointsValue,
-      newBalance: req.user.points - item.pointsValue
+      newBalance: balance
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Owner redemption error:', error);
     res.status(500).json({ 
       message: 'Error redeeming item' 
@@ -565,9 +1028,7 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
 
     const items = await Item.find({
       owner: req.params.userId,
-      isAvailable: true,
-      isApproved: true,
-      isRejected: false
+      status: 'listed'
     })
     .populate('owner', 'username firstName lastName avatar')
     .sort({ createdAt: -1 })
@@ -576,9 +1037,7 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
 
     const total = await Item.countDocuments({
       owner: req.params.userId,
-      isAvailable: true,
-      isApproved: true,
-      isRejected: false
+      status: 'listed'
     });
 
     // Add like status for authenticated users
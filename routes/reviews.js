@@ -0,0 +1,155 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const { authenticateToken } = require('../middleware/auth');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { notifyUsers } = require('../utils/notifications');
+const {
+  REVIEW_EDIT_WINDOW_DAYS,
+  recalculateUserRating,
+  rewardFiveStarReview
+} = require('../utils/reviews');
+
+const router = express.Router();
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit your review while the edit window is open
+// @access  Private (reviewer only)
+router.put('/:id', [
+  authenticateToken,
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Comment must be less than 300 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { rating, comment } = req.body;
+
+    if (rating === undefined && comment === undefined) {
+      return res.status(400).json({ 
+        message: 'Provide a new rating or comment' 
+      });
+    }
+
+    const review = await runInTransaction(async (session) => {
+      const current = await Review.findById(req.params.id).session(session);
+      if (!current) {
+        throw new ApiError(404, 'Review not found');
+      }
+      if (current.reviewer.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, 'You can only edit your own reviews');
+      }
+      if (!current.isEditable(REVIEW_EDIT_WINDOW_DAYS)) {
+        throw new ApiError(400, `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_DAYS} days`);
+      }
+
+      if (rating !== undefined) current.rating = parseInt(rating);
+      if (comment !== undefined) current.comment = comment;
+      current.editedAt = new Date();
+
+      await rewardFiveStarReview(current, req.user._id, session);
+      await current.save({ session });
+      await recalculateUserRating(current.reviewee, session);
+
+      return current;
+    });
+
+    await review.populate('reviewer', 'username firstName lastName avatar');
+
+    res.json({
+      message: 'Review updated successfully',
+      review
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Edit review error:', error);
+    res.status(500).json({ 
+      message: 'Error updating review' 
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Reply to a review you received, or change your reply
+// @access  Private (reviewed user only)
+router.put('/:id/reply', [
+  authenticateToken,
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reply is required and must be less than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ 
+        message: 'Review not found' 
+      });
+    }
+
+    if (review.reviewee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Only the reviewed user can reply' 
+      });
+    }
+
+    const now = new Date();
+    const isFirstReply = !review.reply?.createdAt;
+    review.reply = {
+      body: req.body.body,
+      createdAt: isFirstReply ? now : review.reply.createdAt,
+      updatedAt: now
+    };
+    await review.save();
+
+    if (isFirstReply) {
+      await notifyUsers([review.reviewer], {
+        type: 'review_reply',
+        title: 'Reply to your review',
+        message: req.body.body.slice(0, 200),
+        swap: review.swap
+      });
+    }
+
+    await review.populate('reviewer', 'username firstName lastName avatar');
+
+    res.json({
+      message: 'Reply saved successfully',
+      review
+    });
+
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({ 
+      message: 'Error saving reply' 
+    });
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,138 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Swap = require('../models/Swap');
+const SwapCycle = require('../models/SwapCycle');
 const Item = require('../models/Item');
-const User = require('../models/User');
+const Review = require('../models/Review');
 const { authenticateToken, checkPoints } = require('../middleware/auth');
+const { holdPoints } = require('../utils/pointsLedger');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/transaction');
+const { recalculateUserRating, rewardFiveStarReview } = require('../utils/reviews');
+const {
+  SWAP_TYPES,
+  MAX_BUNDLE_ITEMS,
+  getBundleValue,
+  validateRequestedItems,
+  validateSwapTerms
+} = require('../utils/swapTerms');
+const { syncSwapHold, transitionSwap } = require('../utils/swapStateMachine');
+const { SWAP_DEADLINES, addDays, getPendingDeadline, getAcceptedDeadline } = require('../utils/swapDeadlines');
+const { notifyUsers } = require('../utils/notifications');
+const { buildCalendarEvent } = require('../utils/ical');
+const { getCarrier, listCarriers } = require('../utils/carriers');
+const { openDispute } = require('../utils/disputes');
+const {
+  getIncomingDirection,
+  getOutgoingDirection,
+  refreshSwapShipments
+} = require('../utils/shipping');
+const {
+  findSwapCycles,
+  buildCycleParticipants,
+  commitSwapCycle
+} = require('../utils/swapCycles');
 
 const router = express.Router();
 
+// Slots one party can put forward at a time, and the meeting length when
+// the meeting came from a counter-offer without one
+const MAX_MEETING_SLOTS = 5;
+const DEFAULT_MEETING_MINUTES = 60;
+
+const FULFILLMENT_MODES = ['meetup', 'shipping'];
+
+// Hide the other party's shipping address unless the caller has to ship
+// to it, i.e. while a shipping swap is accepted
+const redactShippingAddresses = (swap, isRequester) => {
+  if (swap.status !== 'accepted' || swap.fulfillment !== 'shipping') {
+    swap.shipping[getOutgoingDirection(isRequester)].address = undefined;
+  }
+};
+
+// Work out the swap type from the items and points on offer
+const deriveSwapType = (offeredItems, pointsOffered) => {
+  if (offeredItems.length > 0) {
+    return pointsOffered > 0 ? 'hybrid' : 'direct';
+  }
+  return pointsOffered > 0 ? 'points' : null;
+};
+
+// Narrow a swap to the part of its bundle the owner accepts, lowering the
+// points by the value of the items left out. It is recorded as the owner's
+// proposal so the history shows what was actually accepted.
+const acceptPartOfBundle = async (swap, acceptedItems, ownerId, session) => {
+  const bundle = swap.getRequestedItemIds().map(id => id.toString());
+  const accepted = new Set(acceptedItems.map(id => id.toString()));
+  if ([...accepted].some(id => !bundle.includes(id))) {
+    throw new ApiError(400, 'Accepted items must be part of the swap request');
+  }
+  if (accepted.size === bundle.length) return;
+
+  const dropped = await Item.find({ _id: { $in: bundle.filter(id => !accepted.has(id)) } })
+    .select('pointsValue')
+    .session(session);
+  const pointsOffered = Math.max(0, swap.pointsOffered - getBundleValue(dropped));
+  const swapType = deriveSwapType(swap.offeredItems, pointsOffered);
+  if (!swapType) {
+    throw new ApiError(400, 'Accepting only these items would leave nothing on offer');
+  }
+
+  swap.applyProposal({
+    swapType,
+    requestedItems: bundle.filter(id => accepted.has(id)),
+    offeredItems: swap.offeredItems,
+    pointsOffered,
+    fulfillment: swap.fulfillment,
+    meetingLocation: swap.meetingLocation,
+    meetingDate: swap.meetingDate,
+    message: `Accepted ${accepted.size} of the ${bundle.length} requested items`
+  }, ownerId);
+};
+
+const cyclePopulate = [
+  { path: 'participants.user', select: 'username firstName lastName avatar' },
+  { path: 'participants.givesItem', select: 'title images pointsValue' },
+  { path: 'participants.receivesItem', select: 'title images pointsValue' }
+];
+
+const proposalPopulate = [
+  { path: 'proposals.proposedBy', select: 'username firstName lastName avatar' },
+  { path: 'proposals.requestedItems', select: 'title images pointsValue' },
+  { path: 'proposals.offeredItems', select: 'title images pointsValue owner' }
+];
+
 // @route   POST /api/swaps
-// @desc    Create a swap request
+// @desc    Create a swap request for one item or a bundle from the same owner
 // @access  Private
 router.post('/', [
   authenticateToken,
   body('requestedItem')
+    .optional()
     .isMongoId()
     .withMessage('Valid requested item ID is required'),
+  body('requestedItems')
+    .optional()
+    .isArray({ min: 1, max: MAX_BUNDLE_ITEMS })
+    .withMessage(`Requested items must be an array of 1 to ${MAX_BUNDLE_ITEMS} item IDs`),
+  body('requestedItems.*')
+    .isMongoId()
+    .withMessage('Requested items must be valid item IDs'),
   body('offeredItems')
     .optional()
     .isArray()
     .withMessage('Offered items must be an array'),
   body('swapType')
-    .isIn(['direct', 'points'])
-    .withMessage('Swap type must be either "direct" or "points"'),
+    .isIn(SWAP_TYPES)
+    .withMessage('Swap type must be "direct", "points" or "hybrid"'),
   body('pointsOffered')
     .optional()
     .isInt({ min: 1 })
     .withMessage('Points offered must be at least 1'),
+  body('fulfillment')
+    .optional()
+    .isIn(FULFILLMENT_MODES)
+    .withMessage('Fulfillment must be "meetup" or "shipping"'),
   body('message')
     .optional()
     .trim()
@@ -42,116 +149,95 @@ router.post('/', [
       });
     }
 
-    const { requestedItem, offeredItems, swapType, pointsOffered, message } = req.body;
-
-    // Get requested item
-    const requestedItemDoc = await Item.findById(requestedItem);
-    if (!requestedItemDoc) {
-      return res.status(404).json({ 
-        message: 'Requested item not found' 
-      });
-    }
-
-    // Check if item is available
-    if (!requestedItemDoc.isAvailable || !requestedItemDoc.isApproved) {
-      return res.status(400).json({ 
-        message: 'Item is not available for swap' 
-      });
-    }
+    const { requestedItem, requestedItems, offeredItems, swapType, pointsOffered, fulfillment = 'meetup', message } = req.body;
 
-    // Check if user is trying to swap their own item
-    if (requestedItemDoc.owner.toString() === req.user._id.toString()) {
+    if (!requestedItem && !requestedItems) {
       return res.status(400).json({ 
-        message: 'You cannot swap your own item' 
+        message: 'Valid requested item ID is required' 
       });
     }
 
-    let offeredItemsDocs = [];
-
-    if (swapType === 'direct') {
-      // Validate offered items for swap
-      if (!offeredItems || offeredItems.length === 0) {
-        return res.status(400).json({ 
-          message: 'At least one offered item is required for direct swap' 
-        });
-      }
-
-      // Get all offered items
-      offeredItemsDocs = await Item.find({ _id: { $in: offeredItems } });
-      
-      if (offeredItemsDocs.length !== offeredItems.length) {
-        return res.status(404).json({ 
-          message: 'One or more offered items not found' 
-        });
-      }
-
-      // Check if all offered items belong to requester
-      for (const item of offeredItemsDocs) {
-        if (item.owner.toString() !== req.user._id.toString()) {
-          return res.status(403).json({ 
-            message: 'You can only offer your own items' 
-          });
-        }
-
-        // Check if offered item is available
-        if (!item.isAvailable || !item.isApproved) {
-          return res.status(400).json({ 
-            message: 'One or more offered items are not available for swap' 
-          });
-        }
-      }
-    } else if (swapType === 'points') {
-      // Validate points amount for points-based swap
-      if (!pointsOffered) {
-        return res.status(400).json({ 
-          message: 'Points amount is required for points type' 
-        });
-      }
-
-      // Check if user has enough points
-      if (req.user.points < pointsOffered) {
-        return res.status(400).json({ 
-          message: `Insufficient points. You need ${pointsOffered} points but have ${req.user.points}` 
-        });
-      }
+    // Get requested items, checking they can be requested together
+    const requestedItemIds = [...new Set(requestedItems || [requestedItem])];
+    const requestedItemsDocs = await validateRequestedItems({
+      requesterId: req.user._id,
+      itemIds: requestedItemIds
+    });
+    const [firstItem] = requestedItemsDocs;
+    const ownerId = firstItem.owner;
 
-      // Check if points amount matches item value
-      if (pointsOffered !== requestedItemDoc.pointsValue) {
-        return res.status(400).json({ 
-          message: `Points amount must match item value (${requestedItemDoc.pointsValue} points)` 
-        });
-      }
-    }
+    // Validate offered items and points for the swap type
+    const { offeredItemsDocs } = await validateSwapTerms({
+      requesterId: req.user._id,
+      requestedItems: requestedItemsDocs,
+      swapType,
+      offeredItems,
+      pointsOffered,
+      availablePoints: req.user.points
+    });
 
-    // Check if there's already a pending swap for this item by this user
+    // Check if there's already a pending swap for any of the items by this user
     const existingSwap = await Swap.findOne({
       requester: req.user._id,
-      requestedItem: requestedItem,
+      $or: [
+        { requestedItem: { $in: requestedItemIds } },
+        { requestedItems: { $in: requestedItemIds } }
+      ],
       status: 'pending'
     });
 
     if (existingSwap) {
       return res.status(400).json({ 
-        message: 'You already have a pending swap request for this item' 
+        message: requestedItemIds.length === 1
+          ? 'You already have a pending swap request for this item'
+          : 'You already have a pending swap request for one of these items'
       });
     }
 
-    // Create swap request
-    const swap = new Swap({
-      requester: req.user._id,
-      requestedItem: requestedItem,
-      offeredItems: swapType === 'direct' ? offeredItems : [],
-      swapType,
-      pointsOffered: swapType === 'points' ? pointsOffered : 0,
-      message: message || ''
-    });
+    const description = requestedItemsDocs.length === 1
+      ? `Offer for "${firstItem.title}"`
+      : `Offer for "${firstItem.title}" and ${requestedItemsDocs.length - 1} more`;
+
+    // Create swap request, holding offered points in escrow until it resolves
+    const swap = await runInTransaction(async (session) => {
+      const newSwap = new Swap({
+        requester: req.user._id,
+        requestedItem: firstItem._id,
+        message: message || '',
+        statusHistory: [{ actor: req.user._id, to: 'pending', note: 'Swap requested' }],
+        expiresAt: getPendingDeadline()
+      });
+      const points = swapType === 'direct' ? 0 : pointsOffered;
+
+      if (points > 0) {
+        await holdPoints({
+          userId: req.user._id,
+          amount: points,
+          description,
+          swap: newSwap._id,
+          item: firstItem._id,
+          actor: req.user._id,
+          session
+        });
+        newSwap.pointsHeld = points;
+      }
 
-    await swap.save();
+      // The request itself is the first proposal, awaiting the owner
+      return newSwap.addProposal({
+        swapType,
+        requestedItems: requestedItemsDocs.map(item => item._id),
+        offeredItems: offeredItemsDocs.map(item => item._id),
+        pointsOffered: points,
+        fulfillment,
+        message
+      }, req.user._id, ownerId, session);
+    });
 
     // Populate swap with item and user details
     await swap.populate([
       { path: 'requester', select: 'username firstName lastName avatar' },
       { path: 'requestedItem', select: 'title images pointsValue owner' },
+      { path: 'requestedItems', select: 'title images pointsValue' },
       { path: 'offeredItems', select: 'title images pointsValue owner' },
       { path: 'requestedItem.owner', select: 'username firstName lastName avatar' }
     ]);
@@ -162,6 +248,7 @@ router.post('/', [
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
     console.error('Create swap error:', error);
     res.status(500).json({ 
       message: 'Error creating swap request' 
@@ -174,7 +261,8 @@ router.post('/', [
 // @access  Private
 router.get('/', [
   authenticateToken,
-  query('status').optional().isIn(['pending', 'accepted', 'rejected', 'completed', 'cancelled']),
+  query('status').optional().isIn(['pending', 'accepted', 'rejected', 'completed', 'cancelled', 'expired', 'reversed']),
+  query('swapType').optional().isIn(SWAP_TYPES),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 20 })
 ], async (req, res) => {
@@ -188,11 +276,22 @@ router.get('/', [
       });
     }
 
-    const { status, page = 1, limit = 10 } = req.query;
+    const { status, swapType, page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Get swaps where user is either requester or item owner using aggregation
     const swapsPipeline = [
+      {
+        $addFields: {
+          requestedItemIds: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$requestedItems', []] } }, 0] },
+              '$requestedItems',
+              ['$requestedItem']
+            ]
+          }
+        }
+      },
       {
         $lookup: {
           from: 'items',
@@ -202,7 +301,7 @@ router.get('/', [
         }
       },
       {
-        $unwind: '$requestedItemData'
+        $unwind: { path: '$requestedItemData', preserveNullAndEmptyArrays: true }
       },
       {
         $match: {
@@ -210,7 +309,16 @@ router.get('/', [
             { requester: req.user._id },
             { 'requestedItemData.owner': req.user._id }
           ],
-          ...(status && { status })
+          ...(status && { status }),
+          ...(swapType && { swapType })
+        }
+      },
+      {
+        $lookup: {
+          from: 'items',
+          localField: 'requestedItemIds',
+          foreignField: '_id',
+          as: 'requestedItemsData'
         }
       },
       {
@@ -233,7 +341,7 @@ router.get('/', [
         }
       },
       {
-        $unwind: '$ownerData'
+        $unwind: { path: '$ownerData', preserveNullAndEmptyArrays: true }
       },
       {
         $lookup: {
@@ -246,7 +354,7 @@ router.get('/', [
       {
         $addFields: {
           requestedItem: {
-            _id: '$requestedItemData._id',
+            _id: '$requestedItem',
             title: '$requestedItemData.title',
             images: '$requestedItemData.images',
             pointsValue: '$requestedItemData.pointsValue',
@@ -258,6 +366,18 @@ router.get('/', [
               avatar: '$ownerData.avatar'
             }
           },
+          requestedItems: {
+            $map: {
+              input: '$requestedItemsData',
+              as: 'item',
+              in: {
+                _id: '$$item._id',
+                title: '$$item.title',
+                images: '$$item.images',
+                pointsValue: '$$item.pointsValue'
+              }
+            }
+          },
           requester: {
             _id: '$requesterData._id',
             username: '$requesterData.username',
@@ -277,15 +397,31 @@ router.get('/', [
                 owner: '$$item.owner'
               }
             }
+          },
+          valueBreakdown: {
+            requestedValue: { $sum: '$requestedItemsData.pointsValue' },
+            itemsValue: { $sum: '$offeredItemsData.pointsValue' },
+            points: '$pointsOffered',
+            total: { $add: [{ $sum: '$offeredItemsData.pointsValue' }, '$pointsOffered'] },
+            difference: {
+              $subtract: [
+                { $add: [{ $sum: '$offeredItemsData.pointsValue' }, '$pointsOffered'] },
+                { $sum: '$requestedItemsData.pointsValue' }
+              ]
+            }
           }
         }
       },
       {
         $project: {
           requestedItemData: 0,
+          requestedItemIds: 0,
+          requestedItemsData: 0,
           requesterData: 0,
           ownerData: 0,
-          offeredItemsData: 0
+          offeredItemsData: 0,
+          'shipping.toRequester.address': 0,
+          'shipping.toOwner.address': 0
         }
       },
       {
@@ -304,7 +440,7 @@ router.get('/', [
         }
       },
       {
-        $unwind: '$requestedItemData'
+        $unwind: { path: '$requestedItemData', preserveNullAndEmptyArrays: true }
       },
       {
         $match: {
@@ -312,7 +448,8 @@ router.get('/', [
             { requester: req.user._id },
             { 'requestedItemData.owner': req.user._id }
           ],
-          ...(status && { status })
+          ...(status && { status }),
+          ...(swapType && { swapType })
         }
       },
       {
@@ -349,58 +486,113 @@ router.get('/', [
   }
 });
 
-// @route   GET /api/swaps/:id
-// @desc    Get swap by ID
+// @route   GET /api/swaps/cycles
+// @desc    Get suggested circular swaps and open cycles for the current user
 // @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/cycles', authenticateToken, async (req, res) => {
   try {
-    const swap = await Swap.findById(req.params.id)
-      .populate('requester', 'username firstName lastName avatar')
-      .populate('requestedItem', 'title images pointsValue owner')
-      .populate('offeredItems', 'title images pointsValue owner')
-      .populate('requestedItem.owner', 'username firstName lastName avatar');
+    const [suggestions, cycles] = await Promise.all([
+      findSwapCycles(req.user._id),
+      SwapCycle.find({
+        'participants.user': req.user._id,
+        status: 'proposed'
+      })
+        .sort({ createdAt: -1 })
+        .populate(cyclePopulate)
+    ]);
 
-    if (!swap) {
-      return res.status(404).json({ 
-        message: 'Swap not found' 
+    res.json({
+      suggestions,
+      cycles
+    });
+
+  } catch (error) {
+    console.error('Get swap cycles error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching circular swaps' 
+    });
+  }
+});
+
+// @route   POST /api/swaps/cycles
+// @desc    Propose a circular swap to its participants
+// @access  Private (participants only)
+router.post('/cycles', [
+  authenticateToken,
+  body('items')
+    .isArray({ min: 3, max: 5 })
+    .withMessage('Items must list 3 to 5 items in cycle order'),
+  body('items.*')
+    .isMongoId()
+    .withMessage('Items must be valid item IDs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
       });
     }
 
-    // Check if user is involved in this swap
-    const isInvolved = swap.requester.toString() === req.user._id.toString() ||
-                      swap.requestedItem.owner.toString() === req.user._id.toString();
+    const { items } = req.body;
 
-    if (!isInvolved) {
+    const { participants, error } = await buildCycleParticipants(items);
+    if (error) {
+      return res.status(400).json({ 
+        message: error 
+      });
+    }
+
+    const proposer = participants.find(p => p.user.toString() === req.user._id.toString());
+    if (!proposer) {
       return res.status(403).json({ 
-        message: 'Access denied' 
+        message: 'You can only propose circular swaps you take part in' 
       });
     }
 
-    res.json({
-      swap
+    const cycleKey = SwapCycle.buildCycleKey(items);
+    const existingCycle = await SwapCycle.findOne({ cycleKey, status: 'proposed' });
+    if (existingCycle) {
+      return res.status(400).json({ 
+        message: 'This circular swap has already been proposed' 
+      });
+    }
+
+    // Proposing counts as opting in
+    proposer.status = 'accepted';
+    proposer.respondedAt = new Date();
+
+    const cycle = await SwapCycle.create({
+      participants,
+      proposedBy: req.user._id,
+      cycleKey
+    });
+
+    await cycle.populate(cyclePopulate);
+
+    res.status(201).json({
+      message: 'Circular swap proposed successfully',
+      cycle
     });
 
   } catch (error) {
-    console.error('Get swap error:', error);
+    console.error('Propose swap cycle error:', error);
     res.status(500).json({ 
-      message: 'Error fetching swap' 
+      message: 'Error proposing circular swap' 
     });
   }
 });
 
-// @route   PUT /api/swaps/:id/respond
-// @desc    Accept or reject a swap request
-// @access  Private (item owner only)
-router.put('/:id/respond', [
+// @route   PUT /api/swaps/cycles/:cycleId/respond
+// @desc    Opt in to or decline a proposed circular swap
+// @access  Private (participants only)
+router.put('/cycles/:cycleId/respond', [
   authenticateToken,
   body('action')
-    .isIn(['accept', 'reject'])
-    .withMessage('Action must be either "accept" or "reject"'),
-  body('responseMessage')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Response message must be less than 500 characters')
+    .isIn(['accept', 'decline'])
+    .withMessage('Action must be either "accept" or "decline"')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -412,144 +604,85 @@ router.put('/:id/respond', [
       });
     }
 
-    const { action, responseMessage } = req.body;
-
-    const swap = await Swap.findById(req.params.id)
-      .populate('requestedItem')
-      .populate('offeredItems');
+    const { action } = req.body;
 
-    if (!swap) {
+    const cycle = await SwapCycle.findById(req.params.cycleId);
+    if (!cycle) {
       return res.status(404).json({ 
-        message: 'Swap not found' 
+        message: 'Circular swap not found' 
       });
     }
 
-    // Check if user owns the requested item
-    const requestedItemOwner = swap.requestedItem.owner?._id || swap.requestedItem.owner;
-    if (requestedItemOwner.toString() !== req.user._id.toString()) {
-      console.log('Ownership check failed:', {
-        requestedItemOwner: requestedItemOwner.toString(),
-        userId: req.user._id.toString(),
-        swapId: swap._id
-      });
+    if (!cycle.getParticipant(req.user._id)) {
       return res.status(403).json({ 
-        message: 'You can only respond to swaps for your own items' 
-      });
-    }
-
-    // Check if swap is still pending
-    if (swap.status !== 'pending') {
-      return res.status(400).json({ 
-        message: 'Swap is no longer pending' 
+        message: 'Access denied' 
       });
     }
 
-    if (action === 'accept') {
-      // Handle points-based swap
-      if (swap.swapType === 'points') {
-        // Transfer points from requester to owner
-        await User.findByIdAndUpdate(swap.requester, {
-          $inc: { points: -swap.pointsOffered }
-        });
-
-        await User.findByIdAndUpdate(swap.requestedItem.owner, {
-          $inc: { points: swap.pointsOffered }
-        });
-
-        // Mark items as unavailable
-        await Item.findByIdAndUpdate(swap.requestedItem._id, {
-          isAvailable: false
-        });
-
-        // Update swap status
-        swap.status = 'accepted';
-        swap.responseMessage = responseMessage || '';
-        swap.pointsTransaction = {
-          fromUser: swap.requester,
-          toUser: swap.requestedItem.owner,
-          amount: swap.pointsOffered,
-          transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        };
-
-        await swap.save();
-
-        // Update user stats and give bonus points for successful swap
-        await User.findByIdAndUpdate(swap.requester, {
-          $inc: { swapsCount: 1, points: 100 }
-        });
-        await User.findByIdAndUpdate(swap.requestedItem.owner, {
-          $inc: { swapsCount: 1, points: 100 }
-        });
+    // Once everyone accepts, the linked swaps are created in the same transaction
+    await runInTransaction(async (session) => {
+      const current = await SwapCycle.findOne({ _id: cycle._id, status: 'proposed' }).session(session);
+      if (!current) {
+        throw new ApiError(400, 'Circular swap is no longer open');
+      }
 
-      } else {
-        // Handle item swap
-        // Mark both items as unavailable
-        await Item.findByIdAndUpdate(swap.requestedItem._id, {
-          isAvailable: false
-        });
-        
-        // Mark all offered items as unavailable
-        for (const offeredItemId of swap.offeredItems) {
-          await Item.findByIdAndUpdate(offeredItemId, {
-            isAvailable: false
-          });
-        }
+      const participant = current.getParticipant(req.user._id);
+      if (participant.status !== 'pending') {
+        throw new ApiError(400, 'You have already responded to this circular swap');
+      }
 
-        // Update swap status
-        swap.status = 'accepted';
-        swap.responseMessage = responseMessage || '';
-        await swap.save();
+      participant.status = action === 'accept' ? 'accepted' : 'declined';
+      participant.respondedAt = new Date();
 
-        // Update user stats
-        await User.findByIdAndUpdate(swap.requester, {
-          $inc: { swapsCount: 1 }
-        });
-        await User.findByIdAndUpdate(swap.requestedItem.owner, {
-          $inc: { swapsCount: 1 }
-        });
-        await User.findByIdAndUpdate(swap.requester, {
-          $inc: { swapsCount: 1, points: 100 }
-        });
-        await User.findByIdAndUpdate(swap.requestedItem.owner, {
-          $inc: { swapsCount: 1, points: 100 }
-        });
+      if (action === 'decline') {
+        current.status = 'declined';
+      } else if (current.isFullyAccepted()) {
+        return commitSwapCycle(current, session);
       }
 
-    } else {
-      // Reject swap
-      swap.status = 'rejected';
-      swap.responseMessage = responseMessage || '';
-      await swap.save();
-    }
+      return current.save({ session });
+    });
 
-    // Populate swap with updated data
-    await swap.populate([
-      { path: 'requester', select: 'username firstName lastName avatar' },
-      { path: 'requestedItem', select: 'title images pointsValue owner' },
-      { path: 'offeredItems', select: 'title images pointsValue owner' },
-      { path: 'requestedItem.owner', select: 'username firstName lastName avatar' }
-    ]);
+    const updatedCycle = await SwapCycle.findById(cycle._id).populate(cyclePopulate);
 
     res.json({
-      message: `Swap ${action}ed successfully`,
-      swap
+      message: action === 'accept' ? 'Circular swap accepted successfully' : 'Circular swap declined',
+      cycle: updatedCycle
     });
 
   } catch (error) {
-    console.error('Respond to swap error:', error);
+    if (sendApiError(res, error)) return;
+    console.error('Respond to swap cycle error:', error);
     res.status(500).json({ 
-      message: 'Error responding to swap' 
+      message: 'Error responding to circular swap' 
     });
   }
 });
 
-// @route   PUT /api/swaps/:id/complete
-// @desc    Complete a swap (for item swaps)
+// @route   GET /api/swaps/shipping/carriers
+// @desc    Get the carriers whose shipments are tracked automatically
 // @access  Private
-router.put('/:id/complete', authenticateToken, async (req, res) => {
+router.get('/shipping/carriers', authenticateToken, (req, res) => {
+  res.json({
+    carriers: listCarriers()
+  });
+});
+
+// @route   GET /api/swaps/:id
+// @desc    Get swap by ID
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const swap = await Swap.findById(req.params.id)
-      .populate('requestedItem', 'owner');
+      .select('+shipping.toRequester.address +shipping.toOwner.address')
+      .populate('requester', 'username firstName lastName avatar')
+      .populate('requestedItem', 'title images pointsValue owner')
+      .populate('requestedItems', 'title images pointsValue')
+      .populate('offeredItems', 'title images pointsValue owner')
+      .populate('requestedItem.owner', 'username firstName lastName avatar')
+      .populate(proposalPopulate)
+      .populate('statusHistory.actor', 'username firstName lastName avatar')
+      .populate('meeting.history.actor', 'username firstName lastName avatar');
 
     if (!swap) {
       return res.status(404).json({ 
@@ -557,9 +690,10 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user is involved in this swap
-    const isInvolved = swap.requester.toString() === req.user._id.toString() ||
-                      swap.requestedItem.owner.toString() === req.user._id.toString();
+    // Check if user is involved in this swap (both sides are populated)
+    const isRequester = swap.requester._id.toString() === req.user._id.toString();
+    const isInvolved = isRequester ||
+                      swap.requestedItem.owner._id.toString() === req.user._id.toString();
 
     if (!isInvolved) {
       return res.status(403).json({ 
@@ -567,47 +701,45 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if swap is accepted
-    if (swap.status !== 'accepted') {
-      return res.status(400).json({ 
-        message: 'Swap must be accepted before completion' 
-      });
-    }
-
-    // Complete the swap
-    await swap.completeSwap();
-
-    // Populate swap with updated data for response
-    await swap.populate([
-      { path: 'requester', select: 'username firstName lastName avatar' },
-      { path: 'requestedItem', select: 'title images pointsValue owner' },
-      { path: 'offeredItems', select: 'title images pointsValue owner' },
-      { path: 'requestedItem.owner', select: 'username firstName lastName avatar' }
-    ]);
+    redactShippingAddresses(swap, isRequester);
 
     res.json({
-      message: 'Swap completed successfully',
       swap
     });
 
   } catch (error) {
-    console.error('Complete swap error:', error);
+    console.error('Get swap error:', error);
     res.status(500).json({ 
-      message: 'Error completing swap' 
+      message: 'Error fetching swap' 
     });
   }
 });
 
-// @route   PUT /api/swaps/:id/cancel
-// @desc    Cancel a swap
-// @access  Private
-router.put('/:id/cancel', [
+// @route   PUT /api/swaps/:id/respond
+// @desc    Accept or reject the latest proposal on a swap request. The owner
+//          can accept part of a bundle by listing the items they accept.
+// @access  Private (party awaiting a response only)
+router.put('/:id/respond', [
   authenticateToken,
-  body('reason')
+  body('action')
+    .isIn(['accept', 'reject'])
+    .withMessage('Action must be either "accept" or "reject"'),
+  body('acceptedItems')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Accepted items must be a non-empty array'),
+  body('acceptedItems.*')
+    .isMongoId()
+    .withMessage('Accepted items must be valid item IDs'),
+  body('proposalVersion')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Proposal version must be a positive integer'),
+  body('responseMessage')
     .optional()
     .trim()
-    .isLength({ max: 200 })
-    .withMessage('Reason must be less than 200 characters')
+    .isLength({ max: 500 })
+    .withMessage('Response message must be less than 500 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -619,7 +751,13 @@ router.put('/:id/cancel', [
       });
     }
 
-    const { reason } = req.body;
+    const { action, acceptedItems, proposalVersion, responseMessage } = req.body;
+
+    if (acceptedItems && action !== 'accept') {
+      return res.status(400).json({ 
+        message: 'Accepted items can only be given when accepting' 
+      });
+    }
 
     const swap = await Swap.findById(req.params.id)
       .populate('requestedItem', 'owner');
@@ -630,33 +768,1107 @@ router.put('/:id/cancel', [
       });
     }
 
-    // Check if user is involved in this swap
     const isInvolved = swap.requester.toString() === req.user._id.toString() ||
                       swap.requestedItem.owner.toString() === req.user._id.toString();
 
     if (!isInvolved) {
       return res.status(403).json({ 
-        message: 'Access denied' 
+        message: 'You can only respond to swaps for your own items' 
       });
     }
 
-    // Check if swap can be cancelled
-    if (swap.status !== 'pending' && swap.status !== 'accepted') {
-      return res.status(400).json({ 
-        message: 'Swap cannot be cancelled in its current state' 
+    const ownerId = swap.requestedItem.owner;
+    if (acceptedItems && ownerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Only the owner can accept part of a swap request' 
       });
     }
 
-    // Cancel the swap
-    await swap.cancelSwap(req.user._id, reason);
+    const latest = swap.getLatestProposal();
+    const latestVersion = latest ? latest.version : 1;
+    if (proposalVersion && Number(proposalVersion) !== latestVersion) {
+      return res.status(409).json({ 
+        message: `Proposal version ${proposalVersion} is no longer the latest (current version is ${latestVersion})` 
+      });
+    }
+
+    // Every write below commits together or not at all
+    await runInTransaction(async (session) => {
+      // Re-read inside the transaction so a concurrent response or counter-offer is detected
+      const current = await Swap.findById(swap._id).session(session);
+      if (current.proposals.length !== swap.proposals.length) {
+        throw new ApiError(409, 'A new proposal was made, please review it before responding');
+      }
+
+      if (acceptedItems) {
+        await acceptPartOfBundle(current, acceptedItems, ownerId, session);
+      }
+
+      await transitionSwap(current, action, {
+        actorId: req.user._id,
+        note: responseMessage || '',
+        session
+      });
+    });
+
+    // Populate swap with updated data
+    const updatedSwap = await Swap.findById(swap._id).populate([
+      { path: 'requester', select: 'username firstName lastName avatar' },
+      { path: 'requestedItem', select: 'title images pointsValue owner' },
+      { path: 'requestedItems', select: 'title images pointsValue' },
+      { path: 'offeredItems', select: 'title images pointsValue owner' },
+      { path: 'requestedItem.owner', select: 'username firstName lastName avatar' },
+      ...proposalPopulate
+    ]);
 
     res.json({
-      message: 'Swap cancelled successfully',
-      swap
+      message: `Swap ${action}ed successfully`,
+      swap: updatedSwap
     });
 
   } catch (error) {
-    console.error('Cancel swap error:', error);
+    if (sendApiError(res, error)) return;
+    console.error('Respond to swap error:', error);
+    res.status(500).json({ 
+      message: 'Error responding to swap' 
+    });
+  }
+});
+
+// @route   POST /api/swaps/:id/counter
+// @desc    Counter the latest proposal with new requested or offered items, points, fulfillment or meeting details
+// @access  Private (party awaiting a response only)
+router.post('/:id/counter', [
+  authenticateToken,
+  body('requestedItems')
+    .optional()
+    .isArray({ min: 1, max: MAX_BUNDLE_ITEMS })
+    .withMessage(`Requested items must be an array of 1 to ${MAX_BUNDLE_ITEMS} item IDs`),
+  body('requestedItems.*')
+    .isMongoId()
+    .withMessage('Requested items must be valid item IDs'),
+  body('offeredItems')
+    .optional()
+    .isArray()
+    .withMessage('Offered items must be an array'),
+  body('offeredItems.*')
+    .isMongoId()
+    .withMessage('Offered items must be valid item IDs'),
+  body('pointsOffered')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Points offered must be a non-negative integer'),
+  body('fulfillment')
+    .optional()
+    .isIn(FULFILLMENT_MODES)
+    .withMessage('Fulfillment must be "meetup" or "shipping"'),
+  body('meetingLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Meeting location must be less than 200 characters'),
+  body('meetingDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Meeting date must be a valid date'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be less than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { requestedItems, offeredItems, pointsOffered, fulfillment, meetingLocation, meetingDate, message } = req.body;
+
+    if (requestedItems === undefined && offeredItems === undefined && pointsOffered === undefined &&
+        fulfillment === undefined && meetingLocation === undefined && meetingDate === undefined) {
+      return res.status(400).json({ 
+        message: 'A counter-offer must change the requested or offered items, points, fulfillment or meeting details' 
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id).populate('requestedItem');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+
+    if (!isRequester && ownerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (swap.status !== 'pending') {
+      return res.status(400).json({ 
+        message: 'Only pending swaps can be negotiated' 
+      });
+    }
+
+    const respondentId = swap.awaitingResponseFrom || ownerId;
+    if (respondentId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Wait for the other party to respond to your latest proposal' 
+      });
+    }
+
+    // The bundle may change, but always with items from the same owner
+    const requestedItemsDocs = await validateRequestedItems({
+      requesterId: swap.requester,
+      itemIds: requestedItems !== undefined ? [...new Set(requestedItems)] : swap.getRequestedItemIds(),
+      ownerId
+    });
+
+    // Start from the current terms and apply the changes
+    const terms = {
+      requestedItems: requestedItemsDocs.map(item => item._id),
+      offeredItems: offeredItems !== undefined ? offeredItems : swap.offeredItems.map(id => id.toString()),
+      pointsOffered: pointsOffered !== undefined ? Number(pointsOffered) : swap.pointsOffered,
+      fulfillment: fulfillment !== undefined ? fulfillment : swap.fulfillment,
+      meetingLocation: meetingLocation !== undefined ? meetingLocation : swap.meetingLocation,
+      meetingDate: meetingDate !== undefined ? new Date(meetingDate) : swap.meetingDate,
+      message
+    };
+    terms.swapType = deriveSwapType(terms.offeredItems, terms.pointsOffered);
+
+    if (!terms.swapType) {
+      return res.status(400).json({ 
+        message: 'A proposal must offer items, points or both' 
+      });
+    }
+
+    // Offered items always come from the requester, whoever proposes them.
+    // Only the requester's own proposals are checked against their balance;
+    // an owner's proposal is checked when the requester accepts it.
+    const { offeredItemsDocs } = await validateSwapTerms({
+      requesterId: swap.requester,
+      requestedItems: requestedItemsDocs,
+      swapType: terms.swapType,
+      offeredItems: terms.offeredItems,
+      pointsOffered: terms.pointsOffered,
+      availablePoints: isRequester ? req.user.points + swap.pointsHeld : undefined
+    });
+    terms.offeredItems = offeredItemsDocs.map(item => item._id);
+
+    await runInTransaction(async (session) => {
+      const current = await Swap.findOne({ _id: swap._id, status: 'pending' }).session(session);
+      if (!current) {
+        throw new ApiError(400, 'Only pending swaps can be negotiated');
+      }
+      if (current.proposals.length !== swap.proposals.length) {
+        throw new ApiError(409, 'A new proposal was made, please review it before countering');
+      }
+
+      // Record the request's original terms if it predates negotiation
+      if (current.proposals.length === 0) {
+        current.proposals.push({
+          version: 1,
+          proposedBy: current.requester,
+          swapType: current.swapType,
+          requestedItems: current.getRequestedItemIds(),
+          offeredItems: current.offeredItems,
+          pointsOffered: current.pointsOffered,
+          fulfillment: current.fulfillment,
+          meetingLocation: current.meetingLocation,
+          meetingDate: current.meetingDate,
+          message: current.message,
+          createdAt: current.createdAt
+        });
+      }
+
+      const otherPartyId = isRequester ? ownerId : current.requester;
+      current.swapType = terms.swapType;
+      current.pointsOffered = terms.pointsOffered;
+
+      // A new proposal restarts the time the other party has to respond
+      current.expiresAt = getPendingDeadline();
+      current.reminderSentAt = undefined;
+
+      // The requester's own offer is escrowed straight away
+      if (isRequester) {
+        await syncSwapHold(current, req.user._id, session);
+      }
+
+      await current.addProposal(terms, req.user._id, otherPartyId, session);
+    });
+
+    const updatedSwap = await Swap.findById(swap._id).populate([
+      { path: 'requester', select: 'username firstName lastName avatar' },
+      { path: 'requestedItem', select: 'title images pointsValue owner' },
+      { path: 'requestedItems', select: 'title images pointsValue' },
+      { path: 'offeredItems', select: 'title images pointsValue owner' },
+      { path: 'requestedItem.owner', select: 'username firstName lastName avatar' },
+      ...proposalPopulate
+    ]);
+
+    res.status(201).json({
+      message: 'Counter-offer sent successfully',
+      swap: updatedSwap
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Counter swap error:', error);
+    res.status(500).json({ 
+      message: 'Error sending counter-offer' 
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/shipping/address
+// @desc    Set the address your items should be shipped to
+// @access  Private
+router.put('/:id/shipping/address', [
+  authenticateToken,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must be less than 100 characters'),
+  body('line1')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Address line is required and must be less than 200 characters'),
+  body('line2')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address line 2 must be less than 200 characters'),
+  body('city')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('City is required and must be less than 100 characters'),
+  body('region')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Region must be less than 100 characters'),
+  body('postalCode')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Postal code is required and must be less than 20 characters'),
+  body('country')
+    .trim()
+    .isISO31661Alpha2()
+    .withMessage('Country must be a two-letter country code')
+    .toUpperCase(),
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Phone must be less than 30 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || swap.requestedItem.owner.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (swap.fulfillment !== 'shipping') {
+      return res.status(400).json({ 
+        message: 'This swap is not being shipped' 
+      });
+    }
+
+    if (!['pending', 'accepted'].includes(swap.status)) {
+      return res.status(400).json({ 
+        message: 'Addresses can only be set on pending or accepted swaps' 
+      });
+    }
+
+    const direction = getIncomingDirection(isRequester);
+    if (!swap.getShipmentDirections().includes(direction)) {
+      return res.status(400).json({ 
+        message: 'Nothing in this swap is shipped to you' 
+      });
+    }
+
+    const shipment = swap.shipping[direction];
+    if (shipment.status !== 'pending') {
+      return res.status(400).json({ 
+        message: 'Your items have already been shipped' 
+      });
+    }
+
+    const { name, line1, line2, city, region, postalCode, country, phone } = req.body;
+    shipment.address = { name, line1, line2, city, region, postalCode, country, phone };
+    await swap.save();
+
+    res.json({
+      message: 'Shipping address saved',
+      address: shipment.address
+    });
+
+  } catch (error) {
+    console.error('Set shipping address error:', error);
+    res.status(500).json({ 
+      message: 'Error saving shipping address' 
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/shipping/ship
+// @desc    Mark your items as shipped with the carrier and tracking number
+// @access  Private
+router.put('/:id/shipping/ship', [
+  authenticateToken,
+  body('carrier')
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Carrier is required and must be less than 50 characters'),
+  body('trackingNumber')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tracking number is required and must be less than 100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { carrier, trackingNumber } = req.body;
+
+    const swap = await Swap.findById(req.params.id)
+      .select('+shipping.toRequester.address +shipping.toOwner.address')
+      .populate('requestedItem', 'owner title');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || ownerId.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (swap.fulfillment !== 'shipping') {
+      return res.status(400).json({ 
+        message: 'This swap is not being shipped' 
+      });
+    }
+
+    if (swap.status !== 'accepted') {
+      return res.status(400).json({ 
+        message: 'Items can only be shipped for accepted swaps' 
+      });
+    }
+
+    const direction = getOutgoingDirection(isRequester);
+    if (!swap.getShipmentDirections().includes(direction)) {
+      return res.status(400).json({ 
+        message: 'You have nothing to ship in this swap' 
+      });
+    }
+
+    const shipment = swap.shipping[direction];
+    if (shipment.status !== 'pending') {
+      return res.status(400).json({ 
+        message: 'Your items have already been marked as shipped' 
+      });
+    }
+
+    if (!shipment.address) {
+      return res.status(400).json({ 
+        message: 'The other party has not added a shipping address yet' 
+      });
+    }
+
+    const adapter = getCarrier(carrier);
+    if (adapter && adapter.isValidTrackingNumber && !adapter.isValidTrackingNumber(trackingNumber)) {
+      return res.status(400).json({ 
+        message: `Invalid tracking number for ${adapter.displayName || adapter.name}` 
+      });
+    }
+
+    const now = new Date();
+    shipment.carrier = carrier;
+    shipment.trackingNumber = trackingNumber;
+    shipment.status = 'shipped';
+    shipment.shippedAt = now;
+    swap.statusHistory.push({
+      actor: req.user._id,
+      from: 'accepted',
+      to: 'accepted',
+      timestamp: now,
+      note: `Shipped ${direction === 'toRequester' ? 'requested item' : 'offered items'} with ${carrier}`
+    });
+    await swap.save();
+
+    await notifyUsers([isRequester ? ownerId : swap.requester], {
+      type: 'swap_shipped',
+      title: 'Items shipped',
+      message: `Your items for the swap of "${swap.requestedItem.title}" were shipped with ${carrier} (tracking number ${trackingNumber}). If they haven't arrived by ${addDays(now, SWAP_DEADLINES.deliveryDays).toDateString()}, open a dispute before then, or they will count as delivered.`,
+      swap: swap._id
+    });
+
+    const updatedSwap = await Swap.findById(swap._id);
+
+    res.json({
+      message: adapter
+        ? 'Items marked as shipped, delivery will be tracked automatically'
+        : 'Items marked as shipped, the recipient will confirm delivery',
+      swap: updatedSwap
+    });
+
+  } catch (error) {
+    console.error('Ship swap items error:', error);
+    res.status(500).json({ 
+      message: 'Error marking items as shipped' 
+    });
+  }
+});
+
+// @route   POST /api/swaps/:id/shipping/refresh
+// @desc    Check the carriers for updates on this swap's shipments now
+// @access  Private
+router.post('/:id/shipping/refresh', authenticateToken, async (req, res) => {
+  try {
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const isInvolved = swap.requester.toString() === req.user._id.toString() ||
+                      swap.requestedItem.owner.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (swap.fulfillment !== 'shipping') {
+      return res.status(400).json({ 
+        message: 'This swap is not being shipped' 
+      });
+    }
+
+    const result = await refreshSwapShipments(swap._id);
+    const updatedSwap = await Swap.findById(swap._id);
+
+    res.json({
+      message: result.checked > 0 ? 'Shipments checked with the carrier' : 'No tracked shipments in transit',
+      ...result,
+      swap: updatedSwap
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Refresh shipments error:', error);
+    res.status(500).json({ 
+      message: 'Error checking shipments' 
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/complete
+// @desc    Confirm your side of the handoff; the swap completes once both
+//          parties confirm or the other party doesn't object in time. For
+//          shipping swaps this confirms delivery of your items.
+// @access  Private
+router.put('/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner title');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    // Check if user is involved in this swap
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || ownerId.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    const completed = await runInTransaction(async (session) => {
+      const current = await Swap.findOne({ _id: swap._id, status: 'accepted' }).session(session);
+      if (!current) {
+        throw new ApiError(400, 'Swap must be accepted before completion');
+      }
+
+      if (current.hasConfirmedReceipt(req.user._id)) {
+        throw new ApiError(400, 'You have already confirmed this handoff');
+      }
+
+      const now = new Date();
+      const isShipping = current.fulfillment === 'shipping';
+
+      // Recipients of a shipment confirm its delivery. An owner paid only in
+      // points has nothing coming and just confirms their side.
+      const direction = getIncomingDirection(isRequester);
+      if (isShipping && current.getShipmentDirections().includes(direction)) {
+        if (current.shipping[direction].status === 'pending') {
+          throw new ApiError(400, 'Your items have not been shipped yet');
+        }
+        current.markShipmentDelivered(direction, 'recipient', now);
+      }
+      current.handoff[isRequester ? 'requesterConfirmedAt' : 'ownerConfirmedAt'] = now;
+
+      if (current.isHandoffComplete(now)) {
+        await transitionSwap(current, 'complete', {
+          actorId: req.user._id,
+          note: isShipping ? 'All shipments delivered' : 'Both parties confirmed the handoff',
+          session
+        });
+        return true;
+      }
+
+      const otherPartyId = isRequester ? ownerId : current.requester;
+
+      // Shipping swaps complete when everything is delivered, not after an
+      // objection window
+      if (isShipping) {
+        await current.save({ session });
+        await notifyUsers([otherPartyId], {
+          type: 'swap_receipt_confirmed',
+          title: 'Delivery confirmed',
+          message: `The other party confirmed their side of the swap for "${swap.requestedItem.title}". It completes once everything has been delivered.`,
+          swap: current._id
+        }, session);
+        return false;
+      }
+
+      // The other party can still object until the window closes, unless
+      // they already have
+      let message = `The other party confirmed the handoff for "${swap.requestedItem.title}". Please confirm it too.`;
+      if (!current.handoff.objection?.createdAt) {
+        current.handoff.autoCompleteAt = addDays(now, SWAP_DEADLINES.objectionDays);
+        message += ` The swap completes automatically on ${current.handoff.autoCompleteAt.toDateString()} unless you object.`;
+      }
+
+      await current.save({ session });
+      await notifyUsers([otherPartyId], {
+        type: 'swap_receipt_confirmed',
+        title: 'Handoff confirmed',
+        message,
+        swap: current._id
+      }, session);
+      return false;
+    });
+
+    // Populate swap with updated data for response
+    const updatedSwap = await Swap.findById(swap._id).populate([
+      { path: 'requester', select: 'username firstName lastName avatar' },
+      { path: 'requestedItem', select: 'title images pointsValue owner' },
+      { path: 'requestedItems', select: 'title images pointsValue' },
+      { path: 'offeredItems', select: 'title images pointsValue owner' },
+      { path: 'requestedItem.owner', select: 'username firstName lastName avatar' }
+    ]);
+
+    res.json({
+      message: completed
+        ? 'Swap completed successfully'
+        : 'Handoff confirmed, waiting for the other party',
+      swap: updatedSwap
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Complete swap error:', error);
+    res.status(500).json({ 
+      message: 'Error completing swap' 
+    });
+  }
+});
+
+// @route   POST /api/swaps/:id/object
+// @desc    Object to the other party's handoff confirmation, stopping the
+//          swap from completing automatically and opening a dispute for an
+//          admin to settle
+// @access  Private
+router.post('/:id/object', [
+  authenticateToken,
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and must be less than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { reason } = req.body;
+
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner title');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || ownerId.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    await runInTransaction(async (session) => {
+      const current = await Swap.findOne({ _id: swap._id, status: 'accepted' }).session(session);
+      if (!current) {
+        throw new ApiError(400, 'Only accepted swaps can be objected to');
+      }
+
+      const now = new Date();
+      if (current.hasConfirmedReceipt(req.user._id)) {
+        throw new ApiError(400, 'You have already confirmed this handoff');
+      }
+      if (!current.handoff.autoCompleteAt || current.handoff.autoCompleteAt <= now) {
+        throw new ApiError(400, 'There is no handoff confirmation open to objection');
+      }
+
+      current.handoff.objection = { by: req.user._id, reason, createdAt: now };
+      current.handoff.autoCompleteAt = undefined;
+      current.statusHistory.push({
+        actor: req.user._id,
+        from: 'accepted',
+        to: 'accepted',
+        timestamp: now,
+        note: `Handoff objection: ${reason}`
+      });
+      await current.save({ session });
+
+      // Without a dispute nothing could move the swap on: it can't be
+      // cancelled once a handoff is confirmed, and the scheduler skips it
+      const otherPartyId = isRequester ? ownerId : current.requester;
+      if (!current.activeDispute) {
+        await openDispute(swap, {
+          openedBy: req.user._id,
+          against: otherPartyId,
+          reason: 'no_show',
+          description: `Handoff objection: ${reason}`,
+          notify: false
+        }, session);
+      }
+
+      await notifyUsers([otherPartyId], {
+        type: 'swap_handoff_objection',
+        title: 'Handoff disputed',
+        message: `The other party says the handoff for "${swap.requestedItem.title}" didn't happen: ${reason}. An admin will review the swap.`,
+        swap: current._id
+      }, session);
+    });
+
+    const updatedSwap = await Swap.findById(swap._id);
+
+    res.json({
+      message: 'Objection recorded and a dispute opened',
+      swap: updatedSwap
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Object to handoff error:', error);
+    res.status(500).json({ 
+      message: 'Error recording objection' 
+    });
+  }
+});
+
+// @route   POST /api/swaps/:id/meeting/slots
+// @desc    Propose time and location slots for the handoff
+// @access  Private
+router.post('/:id/meeting/slots', [
+  authenticateToken,
+  body('slots')
+    .isArray({ min: 1, max: MAX_MEETING_SLOTS })
+    .withMessage(`Between 1 and ${MAX_MEETING_SLOTS} slots are required`),
+  body('slots.*.location')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each slot needs a location of less than 200 characters'),
+  body('slots.*.startsAt')
+    .isISO8601()
+    .withMessage('Each slot needs a valid start time')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Slots must be in the future'),
+  body('slots.*.durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Duration must be between 15 and 480 minutes')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner title');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || ownerId.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (swap.status !== 'accepted') {
+      return res.status(400).json({ 
+        message: 'Meetings can only be scheduled for accepted swaps' 
+      });
+    }
+
+    if (swap.fulfillment === 'shipping') {
+      return res.status(400).json({ 
+        message: 'Items in this swap are shipped, so no meeting is needed' 
+      });
+    }
+
+    if (swap.activeDispute) {
+      return res.status(400).json({ 
+        message: 'This swap has an open dispute' 
+      });
+    }
+
+    if (swap.handoff.requesterConfirmedAt || swap.handoff.ownerConfirmedAt) {
+      return res.status(400).json({ 
+        message: 'The handoff has already been confirmed' 
+      });
+    }
+
+    const slots = req.body.slots.map(slot => ({
+      location: slot.location,
+      startsAt: new Date(slot.startsAt),
+      durationMinutes: slot.durationMinutes !== undefined ? parseInt(slot.durationMinutes) : undefined
+    }));
+
+    swap.proposeMeetingSlots(slots, req.user._id);
+    await swap.save();
+
+    await notifyUsers([isRequester ? ownerId : swap.requester], {
+      type: 'swap_meeting_proposed',
+      title: 'Meeting times proposed',
+      message: `The other party proposed ${slots.length} meeting ${slots.length === 1 ? 'time' : 'times'} for the swap of "${swap.requestedItem.title}". Pick one to confirm the handoff.`,
+      swap: swap._id
+    });
+
+    res.json({
+      message: 'Meeting slots proposed',
+      swap
+    });
+
+  } catch (error) {
+    console.error('Propose meeting slots error:', error);
+    res.status(500).json({ 
+      message: 'Error proposing meeting slots' 
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/meeting/select
+// @desc    Pick one of the other party's proposed meeting slots
+// @access  Private
+router.put('/:id/meeting/select', [
+  authenticateToken,
+  body('slotId')
+    .isMongoId()
+    .withMessage('Valid slot ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner title');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || ownerId.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (swap.status !== 'accepted') {
+      return res.status(400).json({ 
+        message: 'Meetings can only be scheduled for accepted swaps' 
+      });
+    }
+
+    if (swap.fulfillment === 'shipping') {
+      return res.status(400).json({ 
+        message: 'Items in this swap are shipped, so no meeting is needed' 
+      });
+    }
+
+    if (swap.activeDispute) {
+      return res.status(400).json({ 
+        message: 'This swap has an open dispute' 
+      });
+    }
+
+    if (swap.handoff.requesterConfirmedAt || swap.handoff.ownerConfirmedAt) {
+      return res.status(400).json({ 
+        message: 'The handoff has already been confirmed' 
+      });
+    }
+
+    if (swap.meeting.slots.length === 0) {
+      return res.status(400).json({ 
+        message: 'There are no meeting slots to choose from' 
+      });
+    }
+
+    if (swap.meeting.proposedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Only the other party can pick from your proposed slots' 
+      });
+    }
+
+    const slot = swap.selectMeetingSlot(req.body.slotId, req.user._id);
+    if (!slot) {
+      return res.status(404).json({ 
+        message: 'Meeting slot not found' 
+      });
+    }
+
+    // An agreed meeting sets a new deadline, but an overdue swap keeps the
+    // date it will be cancelled on
+    if (!swap.escalatedAt) {
+      swap.expiresAt = getAcceptedDeadline(swap, swap.acceptedAt || new Date());
+      swap.reminderSentAt = undefined;
+    }
+    await swap.save();
+
+    await notifyUsers([isRequester ? ownerId : swap.requester], {
+      type: 'swap_meeting_scheduled',
+      title: 'Meeting scheduled',
+      message: `The handoff for "${swap.requestedItem.title}" is set for ${slot.startsAt.toUTCString()} at ${slot.location}.`,
+      swap: swap._id
+    });
+
+    res.json({
+      message: 'Meeting scheduled',
+      swap
+    });
+
+  } catch (error) {
+    console.error('Select meeting slot error:', error);
+    res.status(500).json({ 
+      message: 'Error scheduling meeting' 
+    });
+  }
+});
+
+// @route   GET /api/swaps/:id/meeting.ics
+// @desc    Download the scheduled meeting as an iCalendar file
+// @access  Private
+router.get('/:id/meeting.ics', authenticateToken, async (req, res) => {
+  try {
+    const swap = await Swap.findById(req.params.id)
+      .populate('requester', 'username')
+      .populate({
+        path: 'requestedItem',
+        select: 'title owner',
+        populate: { path: 'owner', select: 'username' }
+      });
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    const owner = swap.requestedItem.owner;
+    const isRequester = swap.requester._id.toString() === req.user._id.toString();
+    const isInvolved = isRequester || owner._id.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    if (!swap.meetingDate) {
+      return res.status(404).json({ 
+        message: 'No meeting has been scheduled for this swap' 
+      });
+    }
+
+    const otherParty = isRequester ? owner : swap.requester;
+    const calendar = buildCalendarEvent({
+      uid: `swap-${swap._id}@rewear`,
+      start: swap.meetingDate,
+      durationMinutes: swap.meeting.durationMinutes || DEFAULT_MEETING_MINUTES,
+      summary: `ReWear swap: ${swap.requestedItem.title}`,
+      location: swap.meetingLocation,
+      description: `Handoff with @${otherParty.username} for "${swap.requestedItem.title}".`,
+      sequence: swap.meeting.sequence
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="swap-${swap._id}.ics"`
+    });
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Export meeting error:', error);
+    res.status(500).json({ 
+      message: 'Error exporting meeting' 
+    });
+  }
+});
+
+// @route   PUT /api/swaps/:id/cancel
+// @desc    Cancel a swap
+// @access  Private
+router.put('/:id/cancel', [
+  authenticateToken,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be less than 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { reason } = req.body;
+
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner');
+
+    if (!swap) {
+      return res.status(404).json({ 
+        message: 'Swap not found' 
+      });
+    }
+
+    // Check if user is involved in this swap
+    const isInvolved = swap.requester.toString() === req.user._id.toString() ||
+                      swap.requestedItem.owner.toString() === req.user._id.toString();
+
+    if (!isInvolved) {
+      return res.status(403).json({ 
+        message: 'Access denied' 
+      });
+    }
+
+    // Cancel the swap, undoing an accept if needed
+    const cancelledSwap = await runInTransaction(async (session) => {
+      const current = await Swap.findById(swap._id).session(session);
+      return transitionSwap(current, 'cancel', {
+        actorId: req.user._id,
+        note: reason || '',
+        session
+      });
+    });
+
+    res.json({
+      message: 'Swap cancelled successfully',
+      swap: cancelledSwap
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Cancel swap error:', error);
     res.status(500).json({ 
       message: 'Error cancelling swap' 
     });
@@ -664,7 +1876,7 @@ router.put('/:id/cancel', [
 });
 
 // @route   POST /api/swaps/:id/rate
-// @desc    Rate a completed swap
+// @desc    Review the other party after confirming the handoff
 // @access  Private
 router.post('/:id/rate', [
   authenticateToken,
@@ -687,9 +1899,11 @@ router.post('/:id/rate', [
       });
     }
 
-    const { rating, comment } = req.body;
+    const rating = parseInt(req.body.rating);
+    const { comment } = req.body;
 
-    const swap = await Swap.findById(req.params.id);
+    const swap = await Swap.findById(req.params.id)
+      .populate('requestedItem', 'owner title');
 
     if (!swap) {
       return res.status(404).json({ 
@@ -698,8 +1912,9 @@ router.post('/:id/rate', [
     }
 
     // Check if user is involved in this swap
-    const isInvolved = swap.requester.toString() === req.user._id.toString() ||
-                      swap.requestedItem.owner.toString() === req.user._id.toString();
+    const ownerId = swap.requestedItem.owner;
+    const isRequester = swap.requester.toString() === req.user._id.toString();
+    const isInvolved = isRequester || ownerId.toString() === req.user._id.toString();
 
     if (!isInvolved) {
       return res.status(403).json({ 
@@ -707,22 +1922,64 @@ router.post('/:id/rate', [
       });
     }
 
-    // Check if swap is completed
-    if (swap.status !== 'completed') {
+    // Confirming the handoff unlocks rating. Swaps completed before
+    // handoff confirmation existed have no confirmations at all.
+    const isLegacyCompletion = swap.status === 'completed' &&
+      !swap.handoff?.requesterConfirmedAt && !swap.handoff?.ownerConfirmedAt;
+
+    if (!isLegacyCompletion &&
+        !(['accepted', 'completed'].includes(swap.status) && swap.hasConfirmedReceipt(req.user._id))) {
       return res.status(400).json({ 
-        message: 'Can only rate completed swaps' 
+        message: 'Confirm the handoff before rating this swap' 
       });
     }
 
-    // Add rating
-    await swap.addRating(req.user._id, rating, comment);
+    const revieweeId = isRequester ? ownerId : swap.requester;
 
-    res.json({
-      message: 'Rating added successfully',
-      swap
+    const review = await runInTransaction(async (session) => {
+      const existing = await Review.exists({ swap: swap._id, reviewer: req.user._id }).session(session);
+      if (existing) {
+        throw new ApiError(400, 'You have already reviewed this swap. Edit your review instead.');
+      }
+
+      const newReview = new Review({
+        swap: swap._id,
+        reviewer: req.user._id,
+        reviewee: revieweeId,
+        reviewerRole: isRequester ? 'requester' : 'owner',
+        rating,
+        comment: comment || ''
+      });
+
+      await rewardFiveStarReview(newReview, req.user._id, session);
+      await newReview.save({ session });
+      await recalculateUserRating(revieweeId, session);
+
+      await notifyUsers([revieweeId], {
+        type: 'review_received',
+        title: 'New review',
+        message: `You received a ${rating}-star review for the swap of "${swap.requestedItem.title}".`,
+        swap: swap._id
+      }, session);
+
+      return newReview;
+    });
+
+    await review.populate('reviewer', 'username firstName lastName avatar');
+
+    res.status(201).json({
+      message: 'Review added successfully',
+      review
     });
 
   } catch (error) {
+    if (sendApiError(res, error)) return;
+    // Two reviews submitted at once for the same swap
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        message: 'You have already reviewed this swap. Edit your review instead.' 
+      });
+    }
     console.error('Rate swap error:', error);
     res.status(500).json({ 
       message: 'Error adding rating' 
@@ -1,12 +1,40 @@
+const fs = require('fs');
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Item = require('../models/Item');
 const Swap = require('../models/Swap');
+const PointsTransaction = require('../models/PointsTransaction');
+const PointsTransfer = require('../models/PointsTransfer');
+const Notification = require('../models/Notification');
+const Review = require('../models/Review');
+const DataExport = require('../models/DataExport');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { exportRateLimit, exportDownloadRateLimit } = require('../middleware/rateLimit');
+const {
+  adjustPoints,
+  holdPoints,
+  releaseHeldPoints,
+  settleHeldPoints
+} = require('../utils/pointsLedger');
+const { runInTransaction } = require('../utils/transaction');
+const { ApiError, sendApiError } = require('../utils/errors');
+const {
+  DATA_EXPORT_TTL_HOURS,
+  runDataExport,
+  issueDownloadToken,
+  consumeDownloadToken
+} = require('../utils/dataExport');
 
 const router = express.Router();
 
+// Limits for peer-to-peer points transfers
+const TRANSFER_DAILY_LIMIT = parseInt(process.env.POINTS_TRANSFER_DAILY_LIMIT) || 500;
+const TRANSFER_MIN_ACCOUNT_AGE_DAYS = parseInt(process.env.POINTS_TRANSFER_MIN_ACCOUNT_AGE_DAYS) || 7;
+
+// Maximum number of items a user can keep on their wants list
+const MAX_SAVED_WANTS = 100;
+
 // @route   GET /api/users/profile/:username
 // @desc    Get public user profile
 // @access  Public
@@ -24,9 +52,7 @@ router.get('/profile/:username', optionalAuth, async (req, res) => {
     // Get user's items count
     const itemsCount = await Item.countDocuments({
       owner: user._id,
-      isAvailable: true,
-      isApproved: true,
-      isRejected: false
+      status: 'listed'
     });
 
     // Get user's completed swaps count
@@ -55,6 +81,83 @@ router.get('/profile/:username', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/profile/:username/reviews
+// @desc    Get reviews a user received, with their rating summary
+// @access  Public
+router.get('/profile/:username/reviews', [
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+
+    if (!user) {
+      return res.status(404).json({ 
+        message: 'User not found' 
+      });
+    }
+
+    const { rating, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { reviewee: user._id };
+    if (rating) filter.rating = parseInt(rating);
+
+    const [reviews, total, summary] = await Promise.all([
+      Review.find(filter)
+        .select('-fiveStarRewardedAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('reviewer', 'username firstName lastName avatar')
+        .populate({
+          path: 'swap',
+          select: 'requestedItem',
+          populate: { path: 'requestedItem', select: 'title' }
+        }),
+      Review.countDocuments(filter),
+      Review.getRatingSummary(user._id)
+    ]);
+
+    res.json({
+      reviews,
+      summary,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + reviews.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching reviews' 
+    });
+  }
+});
+
 // @route   GET /api/users/search
 // @desc    Search users
 // @access  Public
@@ -178,9 +281,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const itemsCount = await Item.countDocuments({ owner: userId });
     const availableItemsCount = await Item.countDocuments({
       owner: userId,
-      isAvailable: true,
-      isApproved: true,
-      isRejected: false
+      status: 'listed'
     });
     
     console.log('Items count:', itemsCount, 'Available items:', availableItemsCount);
@@ -234,6 +335,769 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/notifications
+// @desc    Get current user's notifications
+// @access  Private
+router.get('/me/notifications', [
+  authenticateToken,
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly must be a boolean'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { unreadOnly, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { user: req.user._id };
+    if (unreadOnly === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, isRead: false })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + notifications.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching notifications' 
+    });
+  }
+});
+
+// @route   PUT /api/users/me/notifications/read
+// @desc    Mark some or all of the current user's notifications as read
+// @access  Private
+router.put('/me/notifications/read', [
+  authenticateToken,
+  body('ids')
+    .optional()
+    .isArray()
+    .withMessage('ids must be an array'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ids must be valid notification IDs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    // Without ids every unread notification is marked
+    const filter = { user: req.user._id, isRead: false };
+    if (req.body.ids) filter._id = { $in: req.body.ids };
+
+    const result = await Notification.updateMany(filter, {
+      isRead: true,
+      readAt: new Date()
+    });
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ 
+      message: 'Error updating notifications' 
+    });
+  }
+});
+
+// @route   POST /api/users/me/export
+// @desc    Request an archive of all your data. It is prepared in the
+//          background; poll the export for a download link.
+// @access  Private (rate limited)
+router.post('/me/export', [authenticateToken, exportRateLimit], async (req, res) => {
+  try {
+    const inProgress = await DataExport.findOne({
+      user: req.user._id,
+      status: { $in: ['queued', 'processing'] }
+    });
+
+    if (inProgress) {
+      return res.status(409).json({ 
+        message: 'An export is already being prepared',
+        export: inProgress 
+      });
+    }
+
+    const dataExport = await DataExport.create({ user: req.user._id });
+
+    // Start straight away; the scheduled export job picks it up if this run
+    // is cut short
+    runDataExport(dataExport._id).catch(error => {
+      console.error('Data export job error:', error);
+    });
+
+    res.status(202).json({
+      message: 'Your export is being prepared',
+      export: dataExport
+    });
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({ 
+      message: 'Error requesting data export' 
+    });
+  }
+});
+
+// @route   GET /api/users/me/export/:exportId
+// @desc    Get the status of a data export, with a short-lived, single-use
+//          download link once it is ready
+// @access  Private
+router.get('/me/export/:exportId', [
+  authenticateToken,
+  param('exportId')
+    .isMongoId()
+    .withMessage('Invalid export ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: req.params.exportId,
+      user: req.user._id
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({ 
+        message: 'Export not found' 
+      });
+    }
+
+    let download = null;
+    if (dataExport.status === 'ready' && dataExport.expiresAt > new Date()) {
+      const { token, expiresAt } = await issueDownloadToken(dataExport);
+      download = {
+        url: `${req.baseUrl}/me/export/${dataExport._id}/download?token=${token}`,
+        expiresAt
+      };
+    }
+
+    res.json({
+      export: dataExport,
+      download,
+      retentionHours: DATA_EXPORT_TTL_HOURS
+    });
+
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching data export' 
+    });
+  }
+});
+
+// @route   GET /api/users/me/export/:exportId/download
+// @desc    Download a data export archive through a single-use link
+// @access  Public (download link)
+router.get('/me/export/:exportId/download', [
+  exportDownloadRateLimit,
+  param('exportId')
+    .isMongoId()
+    .withMessage('Invalid export ID'),
+  query('token')
+    .notEmpty()
+    .withMessage('Download token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const dataExport = await consumeDownloadToken(req.params.exportId, req.query.token);
+
+    if (dataExport.status !== 'ready' || dataExport.expiresAt <= new Date() ||
+        !dataExport.filePath || !fs.existsSync(dataExport.filePath)) {
+      return res.status(404).json({ 
+        message: 'Export is no longer available' 
+      });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.download(dataExport.filePath, `rewear-export-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download data export error:', error);
+        res.status(500).json({ 
+          message: 'Error downloading data export' 
+        });
+      }
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Download data export error:', error);
+    res.status(500).json({ 
+      message: 'Error downloading data export' 
+    });
+  }
+});
+
+// @route   GET /api/users/me/wants
+// @desc    Get current user's saved wants
+// @access  Private
+router.get('/me/wants', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('savedWants')
+      .populate({
+        path: 'savedWants',
+        select: 'title images pointsValue category condition status owner',
+        populate: { path: 'owner', select: 'username firstName lastName avatar' }
+      });
+
+    res.json({
+      wants: user.savedWants.filter(Boolean)
+    });
+
+  } catch (error) {
+    console.error('Get saved wants error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching saved wants' 
+    });
+  }
+});
+
+// @route   POST /api/users/me/wants
+// @desc    Save an item to the current user's wants
+// @access  Private
+router.post('/me/wants', [
+  authenticateToken,
+  body('item')
+    .isMongoId()
+    .withMessage('Valid item ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const item = await Item.findById(req.body.item).select('owner');
+    if (!item) {
+      return res.status(404).json({ 
+        message: 'Item not found' 
+      });
+    }
+
+    if (item.owner.toString() === req.user._id.toString()) {
+      return res.status(400).json({ 
+        message: 'You cannot save your own item' 
+      });
+    }
+
+    // Only add while under the limit; already saved items are left as they are
+    const result = await User.updateOne(
+      {
+        _id: req.user._id,
+        savedWants: { $ne: item._id },
+        [`savedWants.${MAX_SAVED_WANTS - 1}`]: { $exists: false }
+      },
+      { $push: { savedWants: item._id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const alreadySaved = await User.exists({ _id: req.user._id, savedWants: item._id });
+      if (!alreadySaved) {
+        return res.status(400).json({ 
+          message: `You can save up to ${MAX_SAVED_WANTS} wants` 
+        });
+      }
+    }
+
+    res.status(201).json({
+      message: 'Item saved to wants'
+    });
+
+  } catch (error) {
+    console.error('Save want error:', error);
+    res.status(500).json({ 
+      message: 'Error saving want' 
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/wants/:itemId
+// @desc    Remove an item from the current user's wants
+// @access  Private
+router.delete('/me/wants/:itemId', [
+  authenticateToken,
+  param('itemId')
+    .isMongoId()
+    .withMessage('Valid item ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { savedWants: req.params.itemId } }
+    );
+
+    res.json({
+      message: 'Item removed from wants'
+    });
+
+  } catch (error) {
+    console.error('Remove want error:', error);
+    res.status(500).json({ 
+      message: 'Error removing want' 
+    });
+  }
+});
+
+// @route   GET /api/users/me/points/history
+// @desc    Get current user's points ledger
+// @access  Private
+router.get('/me/points/history', [
+  authenticateToken,
+  query('reason')
+    .optional()
+    .isIn(PointsTransaction.schema.path('reason').enumValues)
+    .withMessage('Invalid reason'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { reason, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { user: req.user._id };
+    if (reason) filter.reason = reason;
+
+    const [transactions, total] = await Promise.all([
+      PointsTransaction.getUserHistory(req.user._id, {
+        reason,
+        skip,
+        limit: parseInt(limit)
+      }),
+      PointsTransaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      transactions,
+      balance: req.user.points,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + transactions.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get points history error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching points history' 
+    });
+  }
+});
+
+// @route   GET /api/users/me/points/transfers
+// @desc    Get points transfers sent or received by the current user
+// @access  Private
+router.get('/me/points/transfers', [
+  authenticateToken,
+  query('direction')
+    .optional()
+    .isIn(['sent', 'received'])
+    .withMessage('Direction must be either "sent" or "received"'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'completed', 'declined', 'cancelled'])
+    .withMessage('Invalid status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { direction, status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (direction === 'sent') {
+      filter.from = req.user._id;
+    } else if (direction === 'received') {
+      filter.to = req.user._id;
+    } else {
+      filter.$or = [{ from: req.user._id }, { to: req.user._id }];
+    }
+    if (status) filter.status = status;
+
+    const [transfers, total] = await Promise.all([
+      PointsTransfer.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('from', 'username firstName lastName avatar')
+        .populate('to', 'username firstName lastName avatar'),
+      PointsTransfer.countDocuments(filter)
+    ]);
+
+    res.json({
+      transfers,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        hasNext: skip + transfers.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get points transfers error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching points transfers' 
+    });
+  }
+});
+
+// @route   PUT /api/users/me/points/transfers/:transferId/respond
+// @desc    Accept or decline a pending incoming transfer
+// @access  Private (recipient only)
+router.put('/me/points/transfers/:transferId/respond', [
+  authenticateToken,
+  body('action')
+    .isIn(['accept', 'decline'])
+    .withMessage('Action must be either "accept" or "decline"')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { action } = req.body;
+
+    const transfer = await runInTransaction(async (session) => {
+      const current = await PointsTransfer.findOne({
+        _id: req.params.transferId,
+        to: req.user._id
+      }).session(session);
+
+      if (!current) {
+        throw new ApiError(404, 'Transfer not found');
+      }
+      if (current.status !== 'pending') {
+        throw new ApiError(400, 'Transfer is no longer pending');
+      }
+
+      if (action === 'accept') {
+        const sender = await User.findById(current.from).select('username').session(session);
+        await settleHeldPoints({
+          fromUserId: current.from,
+          toUserId: current.to,
+          amount: current.amount,
+          debitReason: 'transfer_sent',
+          creditReason: 'transfer_received',
+          description: `Points gift from ${sender ? sender.username : 'a former member'} to ${req.user.username}`,
+          transfer: current._id,
+          actor: req.user._id,
+          session
+        });
+        current.status = 'completed';
+        current.completedAt = new Date();
+      } else {
+        await releaseHeldPoints({
+          userId: current.from,
+          amount: current.amount,
+          description: 'Transfer declined by recipient',
+          transfer: current._id,
+          actor: req.user._id,
+          session
+        });
+        current.status = 'declined';
+      }
+
+      current.respondedAt = new Date();
+      return current.save({ session });
+    });
+
+    res.json({
+      message: `Transfer ${action}d successfully`,
+      transfer
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Respond to transfer error:', error);
+    res.status(500).json({ 
+      message: 'Error responding to transfer' 
+    });
+  }
+});
+
+// @route   PUT /api/users/me/points/transfers/:transferId/cancel
+// @desc    Cancel a pending outgoing transfer
+// @access  Private (sender only)
+router.put('/me/points/transfers/:transferId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await runInTransaction(async (session) => {
+      const current = await PointsTransfer.findOne({
+        _id: req.params.transferId,
+        from: req.user._id
+      }).session(session);
+
+      if (!current) {
+        throw new ApiError(404, 'Transfer not found');
+      }
+      if (current.status !== 'pending') {
+        throw new ApiError(400, 'Transfer is no longer pending');
+      }
+
+      await releaseHeldPoints({
+        userId: current.from,
+        amount: current.amount,
+        description: 'Transfer cancelled',
+        transfer: current._id,
+        actor: req.user._id,
+        session
+      });
+
+      current.status = 'cancelled';
+      return current.save({ session });
+    });
+
+    res.json({
+      message: 'Transfer cancelled successfully',
+      transfer
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ 
+      message: 'Error cancelling transfer' 
+    });
+  }
+});
+
+// @route   POST /api/users/:id/points/transfer
+// @desc    Gift points to another user
+// @access  Private
+router.post('/:id/points/transfer', [
+  authenticateToken,
+  body('amount')
+    .isInt({ min: 1 })
+    .withMessage('Amount must be a positive integer'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Message must be less than 300 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const amount = parseInt(req.body.amount);
+    const message = req.body.message || '';
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ 
+        message: 'You cannot transfer points to yourself' 
+      });
+    }
+
+    const recipient = await User.findById(req.params.id).select('username preferences');
+    if (!recipient) {
+      return res.status(404).json({ 
+        message: 'Recipient not found' 
+      });
+    }
+
+    // New accounts cannot send points yet
+    const accountAgeDays = (Date.now() - req.user.createdAt.getTime()) / (1000 * 60 * 60 * 24);
+    if (accountAgeDays < TRANSFER_MIN_ACCOUNT_AGE_DAYS) {
+      return res.status(403).json({ 
+        message: `Your account must be at least ${TRANSFER_MIN_ACCOUNT_AGE_DAYS} days old to transfer points` 
+      });
+    }
+
+    const requiresAcceptance = !!recipient.preferences?.requireTransferAcceptance;
+
+    const transfer = await runInTransaction(async (session) => {
+      const startOfDay = new Date();
+      startOfDay.setHours(0, 0, 0, 0);
+
+      const sentToday = await PointsTransfer.getSentTotalSince(req.user._id, startOfDay, session);
+      if (sentToday + amount > TRANSFER_DAILY_LIMIT) {
+        throw new ApiError(400, `Daily transfer limit is ${TRANSFER_DAILY_LIMIT} points. You can send ${Math.max(0, TRANSFER_DAILY_LIMIT - sentToday)} more today`);
+      }
+
+      const newTransfer = new PointsTransfer({
+        from: req.user._id,
+        to: recipient._id,
+        amount,
+        message,
+        requiresAcceptance
+      });
+
+      // The message stays on the transfer, which the ledger entries link to
+      const description = `Points gift from ${req.user.username} to ${recipient.username}`;
+
+      if (requiresAcceptance) {
+        // Hold the points until the recipient accepts or declines
+        await holdPoints({
+          userId: req.user._id,
+          amount,
+          description: `Transfer to ${recipient.username} awaiting acceptance`,
+          transfer: newTransfer._id,
+          actor: req.user._id,
+          session
+        });
+      } else {
+        await adjustPoints({
+          userId: req.user._id,
+          amount: -amount,
+          reason: 'transfer_sent',
+          description,
+          transfer: newTransfer._id,
+          actor: req.user._id,
+          session
+        });
+        await adjustPoints({
+          userId: recipient._id,
+          amount,
+          reason: 'transfer_received',
+          description,
+          transfer: newTransfer._id,
+          actor: req.user._id,
+          session
+        });
+        newTransfer.status = 'completed';
+        newTransfer.completedAt = new Date();
+      }
+
+      return newTransfer.save({ session });
+    });
+
+    await transfer.populate([
+      { path: 'from', select: 'username firstName lastName avatar' },
+      { path: 'to', select: 'username firstName lastName avatar' }
+    ]);
+
+    res.status(201).json({
+      message: requiresAcceptance
+        ? 'Transfer sent and awaiting acceptance'
+        : 'Points transferred successfully',
+      transfer
+    });
+
+  } catch (error) {
+    if (sendApiError(res, error)) return;
+    console.error('Transfer points error:', error);
+    res.status(500).json({ 
+      message: 'Error transferring points' 
+    });
+  }
+});
+
 // @route   GET /api/users/activity
 // @desc    Get user activity feed
 // @access  Private
@@ -269,7 +1133,7 @@ router.get('/activity', [
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
-        .select('title images createdAt isAvailable isApproved'),
+        .select('title images createdAt status'),
       Swap.find({
         $or: [
           { requester: userId },
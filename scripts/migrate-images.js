@@ -2,7 +2,13 @@
 
 require('dotenv').config();
 const mongoose = require('mongoose');
-const { runFullMigration, migrateItemImages, migrateUserAvatars } = require('../utils/migration');
+const {
+  runFullMigration,
+  migrateItemImages,
+  migrateUserAvatars,
+  migrateSwapRatings,
+  migrateItemStatus
+} = require('../utils/migration');
 
 const connectDB = async () => {
   try {
@@ -32,6 +38,14 @@ const main = async () => {
         await migrateUserAvatars(userId);
         break;
         
+      case 'reviews':
+        await migrateSwapRatings();
+        break;
+
+      case 'item-status':
+        await migrateItemStatus();
+        break;
+
       case 'all':
       default:
         await runFullMigration();
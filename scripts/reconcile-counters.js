@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcileUserCounters } = require('../utils/reconciliation');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB Atlas');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const apply = args.includes('--apply');
+  const userId = args.find(arg => !arg.startsWith('--')) || null;
+
+  await connectDB();
+
+  let exitCode = 0;
+
+  try {
+    console.log(`Reconciling user counters (${apply ? 'apply' : 'dry-run'})${userId ? ` for user ${userId}` : ''}`);
+
+    const report = await reconcileUserCounters({ apply, userId });
+
+    for (const entry of report.discrepancies) {
+      console.log(`${entry.username} (${entry.userId})`);
+      for (const [field, { stored, expected }] of Object.entries(entry.fields)) {
+        console.log(`  ${field}: stored ${stored}, expected ${expected}`);
+      }
+    }
+
+    console.log(`Checked ${report.checkedUsers} users, ${report.usersWithDiscrepancies} with discrepancies`);
+    if (!apply && report.usersWithDiscrepancies > 0) {
+      console.log('Run again with --apply to write the expected values');
+    }
+  } catch (error) {
+    console.error('Reconciliation failed:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(exitCode);
+  }
+};
+
+// Handle script execution
+if (require.main === module) {
+  main();
+}
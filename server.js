@@ -11,9 +11,18 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const itemRoutes = require('./routes/items');
 const swapRoutes = require('./routes/swaps');
+const disputeRoutes = require('./routes/disputes');
+const reviewRoutes = require('./routes/reviews');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const { getItemImage, getUserAvatar, base64ToBuffer } = require('./utils/imageUtils');
+const { scheduleJob, startScheduler } = require('./utils/scheduler');
+const { SWAP_EXPIRY_INTERVAL_MS, runSwapExpiry } = require('./utils/swapExpiry');
+const { SHIPMENT_TRACKING_INTERVAL_MS, runShipmentTracking } = require('./utils/shipping');
+const { ITEM_RETENTION_INTERVAL_MS, purgeArchivedItems } = require('./utils/itemArchive');
+const { ITEM_PUBLISH_INTERVAL_MS, runScheduledPublishing } = require('./utils/itemPublishing');
+const { ITEM_IMPORT_INTERVAL_MS, runPendingImports } = require('./utils/itemImport');
+const { DATA_EXPORT_INTERVAL_MS, runDataExports } = require('./utils/dataExport');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -132,6 +141,8 @@ app.get('/api/images/:type/:id', async (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/items', itemRoutes);
 app.use('/api/swaps', swapRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/reviews', reviewRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 
@@ -206,6 +217,17 @@ mongoose.connect(process.env.MONGODB_URI)
     app.listen(PORT, () => {
       console.log(`ReWear server running on port ${PORT}`);
     });
+
+    // Background jobs; disable on all but one instance when scaling out
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      scheduleJob('swap-expiry', SWAP_EXPIRY_INTERVAL_MS, () => runSwapExpiry());
+      scheduleJob('shipment-tracking', SHIPMENT_TRACKING_INTERVAL_MS, () => runShipmentTracking());
+      scheduleJob('item-retention', ITEM_RETENTION_INTERVAL_MS, () => purgeArchivedItems());
+      scheduleJob('item-publishing', ITEM_PUBLISH_INTERVAL_MS, () => runScheduledPublishing());
+      scheduleJob('item-import', ITEM_IMPORT_INTERVAL_MS, () => runPendingImports());
+      scheduleJob('data-export', DATA_EXPORT_INTERVAL_MS, () => runDataExports());
+      startScheduler();
+    }
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -0,0 +1,52 @@
+// Carrier for development and tests. The tracking number decides what it
+// reports: numbers starting with DLV are delivered, TRN are in transit and
+// EXC have a delivery problem; anything else is waiting for pickup. Tests
+// can also set the status of a tracking number directly.
+const overrides = new Map();
+
+const STATUS_BY_PREFIX = {
+  DLV: { status: 'delivered', description: 'Delivered' },
+  TRN: { status: 'in_transit', description: 'In transit' },
+  EXC: { status: 'exception', description: 'Delivery attempted, recipient not available' }
+};
+
+const fakeCarrier = {
+  name: 'fake',
+  displayName: 'Fake Carrier',
+
+  isValidTrackingNumber: (trackingNumber) => /^[A-Z0-9-]{4,40}$/i.test(trackingNumber),
+
+  getStatus: async (trackingNumber) => {
+    const override = overrides.get(trackingNumber);
+    if (override) {
+      return { ...override };
+    }
+
+    const known = STATUS_BY_PREFIX[trackingNumber.slice(0, 3).toUpperCase()];
+    if (!known) {
+      return { status: 'shipped', description: 'Label created, waiting for pickup' };
+    }
+
+    return known.status === 'delivered'
+      ? { ...known, deliveredAt: new Date() }
+      : { ...known };
+  },
+
+  /**
+   * Make the carrier report a status for a tracking number
+   * @param {string} trackingNumber - Tracking number
+   * @param {Object} result - Status as returned by getStatus
+   */
+  setStatus: (trackingNumber, result) => {
+    overrides.set(trackingNumber, result);
+  },
+
+  /**
+   * Forget every status set with setStatus
+   */
+  reset: () => {
+    overrides.clear();
+  }
+};
+
+module.exports = fakeCarrier;
@@ -0,0 +1,57 @@
+const fakeCarrier = require('./fake');
+
+// Carrier adapters by name. An adapter looks like:
+// {
+//   name: 'acme',                 // stored on shipments, lowercase
+//   displayName: 'Acme Post',
+//   isValidTrackingNumber(trackingNumber) -> boolean   (optional)
+//   async getStatus(trackingNumber) -> {
+//     status: 'shipped' | 'in_transit' | 'delivered' | 'exception',
+//     description,                // shown to users as the carrier status
+//     deliveredAt                 // when delivered, if known
+//   }
+// }
+// Shipments with a carrier that has no adapter are still recorded, but only
+// the recipient can confirm their delivery.
+const carriers = new Map();
+
+/**
+ * Make a carrier adapter available for tracking shipments
+ * @param {Object} adapter - Carrier adapter
+ */
+const registerCarrier = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.getStatus !== 'function') {
+    throw new Error('Carrier adapters need a name and a getStatus function');
+  }
+  carriers.set(adapter.name.toLowerCase(), adapter);
+};
+
+/**
+ * Get the adapter for a carrier
+ * @param {string} name - Carrier name
+ * @returns {Object|null} Carrier adapter, or null if the carrier isn't tracked
+ */
+const getCarrier = (name) => (name && carriers.get(name.toLowerCase())) || null;
+
+/**
+ * List the carriers whose shipments are tracked automatically
+ * @returns {Array} Carrier names and display names
+ */
+const listCarriers = () => {
+  return [...carriers.values()].map(({ name, displayName }) => ({
+    name,
+    displayName: displayName || name
+  }));
+};
+
+// The fake carrier can complete swaps without anything being shipped, so it
+// has to be switched on explicitly
+if (process.env.ENABLE_FAKE_CARRIER === 'true') {
+  registerCarrier(fakeCarrier);
+}
+
+module.exports = {
+  registerCarrier,
+  getCarrier,
+  listCarriers
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Item = require('../models/Item');
+const Swap = require('../models/Swap');
+const SwapCycle = require('../models/SwapCycle');
+const Review = require('../models/Review');
+const PointsTransaction = require('../models/PointsTransaction');
+const PointsTransfer = require('../models/PointsTransfer');
+const { ApiError } = require('./errors');
+const { base64ToBuffer } = require('./imageUtils');
+const { notifyUsers } = require('./notifications');
+
+// Archives are kept outside uploads/, which is served statically, and
+// outside the repository so they can't be committed by accident
+const DATA_EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'rewear-exports');
+
+// How long a finished archive can be downloaded before it is deleted
+const DATA_EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 24;
+
+// How long a download link stays valid
+const DATA_EXPORT_LINK_TTL_MINUTES = parseInt(process.env.DATA_EXPORT_LINK_TTL_MINUTES) || 15;
+
+// How often queued exports are built and expired archives deleted
+const DATA_EXPORT_INTERVAL_MS = 60 * 1000;
+
+// Exports that haven't finished in this long are built again
+const STALLED_AFTER_MS = 30 * 60 * 1000;
+
+// File extensions for the image types items and avatars are stored with
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Add a base64 image to the archive and return its path there
+const addImage = (zip, folder, name, image) => {
+  const buffer = image && image.data ? base64ToBuffer(image.data) : null;
+  if (!buffer) {
+    return null;
+  }
+
+  const file = `${folder}/${name}.${IMAGE_EXTENSIONS[image.contentType] || 'jpg'}`;
+  zip.addFile(file, buffer);
+  return file;
+};
+
+const toJSON = (value) => Buffer.from(JSON.stringify(value, null, 2));
+
+/**
+ * Build the archive of everything a user has on ReWear: profile, items with
+ * their images as files, swaps, reviews, likes and points history
+ * @param {string} userId - User ID
+ * @param {string} filePath - Where to write the zip
+ * @returns {number} Size of the archive in bytes
+ */
+const buildExportArchive = async (userId, filePath) => {
+  const zip = new AdmZip();
+
+  const user = await User.findById(userId).select('-password').lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const { avatar, ...profile } = user;
+  profile.avatar = addImage(zip, 'images/profile', 'avatar', avatar);
+  zip.addFile('profile.json', toJSON(profile));
+
+  const items = await Item.find({ owner: userId }).select('-likedBy').lean();
+  const exportedItems = items.map(({ images, ...item }) => ({
+    ...item,
+    images: (images || []).map((image, index) => ({
+      filename: image.filename,
+      contentType: image.contentType,
+      file: addImage(zip, `images/items/${item._id}`, String(index + 1), image)
+    }))
+  }));
+  zip.addFile('items.json', toJSON(exportedItems));
+
+  const itemIds = items.map(item => item._id);
+  const [swaps, cycles, reviewsGiven, reviewsReceived, likes, transactions, transfers] = await Promise.all([
+    Swap.find({
+      $or: [
+        { requester: userId },
+        { requestedItem: { $in: itemIds } },
+        { requestedItems: { $in: itemIds } }
+      ]
+    })
+      .populate('requestedItem requestedItems offeredItems', 'title owner pointsValue')
+      .sort({ createdAt: -1 })
+      .lean(),
+    SwapCycle.find({ 'participants.user': userId }).sort({ createdAt: -1 }).lean(),
+    Review.find({ reviewer: userId }).sort({ createdAt: -1 }).lean(),
+    Review.find({ reviewee: userId }).sort({ createdAt: -1 }).lean(),
+    Item.find({ likedBy: userId }).select('title owner status pointsValue').lean(),
+    PointsTransaction.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    PointsTransfer.find({ $or: [{ from: userId }, { to: userId }] }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  zip.addFile('swaps.json', toJSON({ swaps, circularSwaps: cycles }));
+  zip.addFile('reviews.json', toJSON({ given: reviewsGiven, received: reviewsReceived }));
+  zip.addFile('likes.json', toJSON({ likedItems: likes, savedWants: user.savedWants || [] }));
+  zip.addFile('points.json', toJSON({
+    balance: user.points,
+    held: user.heldPoints || 0,
+    transactions,
+    transfers
+  }));
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  await zip.writeZipPromise(filePath);
+  return fs.statSync(filePath).size;
+};
+
+/**
+ * Build a queued export. Claims it first so two runs don't build the same
+ * export, and notifies the user when the archive is ready.
+ * @param {string} exportId - Data export ID
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} Finished export, or null if another run has it
+ */
+const runDataExport = async (exportId, now = new Date()) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    {
+      _id: exportId,
+      $or: [
+        { status: 'queued' },
+        { status: 'processing', startedAt: { $lte: new Date(now.getTime() - STALLED_AFTER_MS) } }
+      ]
+    },
+    { status: 'processing', startedAt: now },
+    { new: true }
+  );
+
+  if (!dataExport) {
+    return null;
+  }
+
+  const filePath = path.join(DATA_EXPORT_DIR, `${dataExport._id}.zip`);
+  try {
+    const fileSize = await buildExportArchive(dataExport.user, filePath);
+    const completedAt = new Date();
+
+    dataExport.set({
+      status: 'ready',
+      filePath,
+      fileSize,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000)
+    });
+    await dataExport.save();
+
+    await notifyUsers([dataExport.user], {
+      type: 'data_export_ready',
+      title: 'Your data export is ready',
+      message: `Download it within ${DATA_EXPORT_TTL_HOURS} hours`
+    });
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    dataExport.set({ status: 'failed', error: error.message.slice(0, 500), completedAt: new Date() });
+    await dataExport.save();
+  }
+
+  return dataExport;
+};
+
+/**
+ * Build queued or stalled exports and delete archives past their expiry
+ * @param {Date} [now] - Current time
+ * @returns {Object} Summary of the run
+ */
+const runDataExports = async (now = new Date()) => {
+  const summary = { built: 0, failed: 0, expired: 0 };
+
+  const pending = await DataExport.find({
+    $or: [
+      { status: 'queued' },
+      { status: 'processing', startedAt: { $lte: new Date(now.getTime() - STALLED_AFTER_MS) } }
+    ]
+  })
+    .select('_id')
+    .sort({ createdAt: 1 });
+
+  for (const { _id } of pending) {
+    const dataExport = await runDataExport(_id, now);
+    if (!dataExport) continue;
+    if (dataExport.status === 'ready') summary.built++;
+    else summary.failed++;
+  }
+
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } }).select('+filePath');
+  for (const dataExport of expired) {
+    if (dataExport.filePath && fs.existsSync(dataExport.filePath)) {
+      fs.unlinkSync(dataExport.filePath);
+    }
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    await dataExport.save();
+    summary.expired++;
+  }
+
+  return summary;
+};
+
+// Download tokens are stored hashed, so the database never holds a usable link
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a short-lived, single-use link for downloading a ready export. The
+ * link works without the user's access token, so it can be opened in a
+ * browser. Issuing a new link invalidates the previous one.
+ * @param {Object} dataExport - Ready data export
+ * @returns {Object} Download token and when it expires
+ */
+const issueDownloadToken = async (dataExport) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Math.min(
+    Date.now() + DATA_EXPORT_LINK_TTL_MINUTES * 60 * 1000,
+    dataExport.expiresAt.getTime()
+  ));
+
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { downloadTokenHash: hashToken(token), downloadTokenExpiresAt: expiresAt }
+  );
+  return { token, expiresAt };
+};
+
+/**
+ * Use up a download token. The token is cleared as it is checked, so a link
+ * found later in logs or browser history can't be used again.
+ * @param {string} exportId - Export being downloaded
+ * @param {string} token - Token from the download link
+ * @returns {Object} Data export, with its archive path
+ */
+const consumeDownloadToken = async (exportId, token) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    {
+      _id: exportId,
+      downloadTokenHash: hashToken(String(token)),
+      downloadTokenExpiresAt: { $gt: new Date() }
+    },
+    { $unset: { downloadTokenHash: 1, downloadTokenExpiresAt: 1 } }
+  ).select('+filePath');
+
+  if (!dataExport) {
+    throw new ApiError(401, 'Invalid or expired download link');
+  }
+  return dataExport;
+};
+
+module.exports = {
+  DATA_EXPORT_TTL_HOURS,
+  DATA_EXPORT_LINK_TTL_MINUTES,
+  DATA_EXPORT_INTERVAL_MS,
+  buildExportArchive,
+  runDataExport,
+  runDataExports,
+  issueDownloadToken,
+  consumeDownloadToken
+};
@@ -0,0 +1,168 @@
+const Dispute = require('../models/Dispute');
+const Item = require('../models/Item');
+const Swap = require('../models/Swap');
+const User = require('../models/User');
+const { adjustPoints } = require('./pointsLedger');
+const { transitionSwap } = require('./swapStateMachine');
+const { ApiError } = require('./errors');
+const { notifyUsers } = require('./notifications');
+
+const DISPUTE_OUTCOMES = ['refund_points', 'reverse_swap', 'penalize_user', 'dismiss'];
+
+/**
+ * Open a dispute on an accepted or completed swap. The swap is claimed so it
+ * can't complete, be cancelled or get a second dispute. Must be called inside
+ * a transaction.
+ * @param {Object} swap - Swap document with its requested item's title populated
+ * @param {Object} details
+ * @param {string} details.openedBy - Participant opening the dispute
+ * @param {string} details.against - The other participant
+ * @param {string} details.reason - Dispute reason
+ * @param {string} details.description - What went wrong
+ * @param {Array} [details.evidence] - Evidence images
+ * @param {boolean} [details.notify] - Notify the other participant
+ * @param {Object} session - Mongoose session
+ * @returns {Object} Saved dispute
+ */
+const openDispute = async (swap, { openedBy, against, reason, description, evidence = [], notify = true }, session) => {
+  const dispute = new Dispute({
+    swap: swap._id,
+    openedBy,
+    against,
+    reason,
+    description,
+    evidence
+  });
+
+  const claimed = await Swap.findOneAndUpdate(
+    { _id: swap._id, status: { $in: ['accepted', 'completed'] }, activeDispute: null },
+    { activeDispute: dispute._id },
+    { session }
+  );
+  if (!claimed) {
+    throw new ApiError(400, 'Disputes can only be opened on accepted or completed swaps without an open dispute');
+  }
+
+  await dispute.save({ session });
+
+  if (notify) {
+    await notifyUsers([against], {
+      type: 'dispute_opened',
+      title: 'Dispute opened',
+      message: `A dispute was opened on the swap for "${swap.requestedItem.title}". An admin will review it.`,
+      swap: swap._id,
+      dispute: dispute._id
+    }, session);
+  }
+
+  return dispute;
+};
+
+/**
+ * Apply an admin's decision on a dispute and close it. Must run inside a
+ * transaction with the dispute and swap read in that session.
+ * - refund_points: move points from the other party to `userId`
+ * - reverse_swap: undo the swap, making items available and refunding its payment
+ * - penalize_user: deduct up to `points` from `userId`
+ * - dismiss: close without changes
+ * @param {Object} dispute - Dispute document
+ * @param {Object} swap - Disputed swap document
+ * @param {Object} decision
+ * @param {string} decision.outcome - One of DISPUTE_OUTCOMES
+ * @param {number} [decision.points] - Points to refund or deduct
+ * @param {string} [decision.userId] - User refunded or penalized
+ * @param {string} [decision.note] - Explanation for the participants
+ * @param {string} decision.adminId - Admin resolving the dispute
+ * @param {Object} session - Mongoose session
+ * @returns {Object} Saved dispute
+ */
+const resolveDispute = async (dispute, swap, { outcome, points, userId, note = '', adminId }, session) => {
+  const item = await Item.findById(swap.requestedItem).select('owner title').session(session);
+  const participants = [swap.requester.toString(), item.owner.toString()];
+
+  if ((outcome === 'refund_points' || outcome === 'penalize_user') &&
+      (!userId || !participants.includes(userId.toString()))) {
+    throw new ApiError(400, 'User must be one of the swap participants');
+  }
+
+  const ledgerOptions = {
+    swap: swap._id,
+    item: item._id,
+    actor: adminId,
+    session
+  };
+
+  let appliedPoints;
+
+  if (outcome === 'refund_points') {
+    const payerId = participants.find(id => id !== userId.toString());
+    const description = `Dispute refund for "${item.title}"`;
+
+    try {
+      await adjustPoints({ ...ledgerOptions, userId: payerId, amount: -points, reason: 'dispute_refund', description });
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 400) {
+        throw new ApiError(400, 'The other party does not have enough points for this refund');
+      }
+      throw error;
+    }
+    await adjustPoints({ ...ledgerOptions, userId, amount: points, reason: 'dispute_refund', description });
+    appliedPoints = points;
+  }
+
+  if (outcome === 'penalize_user') {
+    // Penalties take what the user has rather than failing
+    const user = await User.findById(userId).select('points').session(session);
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+    appliedPoints = Math.min(points, user.points);
+    if (appliedPoints > 0) {
+      await adjustPoints({
+        ...ledgerOptions,
+        userId,
+        amount: -appliedPoints,
+        reason: 'dispute_penalty',
+        description: `Penalty from dispute over "${item.title}"`
+      });
+    }
+  }
+
+  // The dispute no longer blocks the swap once resolved
+  swap.activeDispute = undefined;
+
+  // Once an admin has ruled on a handoff objection, the confirmed handoff
+  // completes the swap on the scheduler's next run
+  if (outcome !== 'reverse_swap' && swap.status === 'accepted' && swap.handoff?.objection?.createdAt) {
+    swap.handoff.objection = undefined;
+    swap.handoff.autoCompleteAt = new Date();
+  }
+
+  if (outcome === 'reverse_swap') {
+    await transitionSwap(swap, 'reverse', {
+      actorId: adminId,
+      asSystem: true,
+      note: note || 'Reversed after a dispute',
+      session
+    });
+  } else {
+    await swap.save({ session });
+  }
+
+  dispute.status = 'resolved';
+  dispute.resolution = {
+    outcome,
+    points: appliedPoints,
+    user: outcome === 'refund_points' || outcome === 'penalize_user' ? userId : undefined,
+    note,
+    resolvedBy: adminId,
+    resolvedAt: new Date()
+  };
+  return dispute.save({ session });
+};
+
+module.exports = {
+  DISPUTE_OUTCOMES,
+  openDispute,
+  resolveDispute
+};
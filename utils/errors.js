@@ -0,0 +1,37 @@
+/**
+ * Error carrying an HTTP status, thrown from helpers that run outside a
+ * route handler so the route can translate it into a JSON response.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Send an ApiError as a JSON response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} True if the error was handled
+ */
+const sendApiError = (res, error) => {
+  if (!(error instanceof ApiError)) {
+    return false;
+  }
+
+  res.status(error.status).json({
+    message: error.message
+  });
+  return true;
+};
+
+module.exports = {
+  ApiError,
+  sendApiError
+};
@@ -0,0 +1,88 @@
+// Calendar files use CRLF line endings and lines of at most 75 octets
+const LINE_BREAK = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Format a date as an iCalendar UTC date-time, e.g. 20250101T093000Z
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a text value for use in an iCalendar property
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text = '') => {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets. Continuation
+ * lines start with a space, which counts towards their length.
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join(`${LINE_BREAK} `);
+};
+
+/**
+ * Build an iCalendar file with a single event
+ * @param {Object} event
+ * @param {string} event.uid - Identifier that stays the same when the event changes
+ * @param {Date} event.start - Start time
+ * @param {number} event.durationMinutes - Length of the event
+ * @param {string} event.summary - Event title
+ * @param {string} [event.location] - Where the event takes place
+ * @param {string} [event.description] - Event details
+ * @param {number} [event.sequence] - Revision number, increased on every change
+ * @returns {string} Calendar file contents
+ */
+const buildCalendarEvent = ({ uid, start, durationMinutes, summary, location, description, sequence = 0 }) => {
+  const end = new Date(new Date(start).getTime() + durationMinutes * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ReWear//Swap Meetings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join(LINE_BREAK) + LINE_BREAK;
+};
+
+module.exports = {
+  buildCalendarEvent
+};
@@ -0,0 +1,135 @@
+const Item = require('../models/Item');
+const Swap = require('../models/Swap');
+const SwapCycle = require('../models/SwapCycle');
+const User = require('../models/User');
+const { ApiError } = require('./errors');
+const { transitionItem } = require('./itemStatus');
+const { closeCompetingSwaps } = require('./swapStateMachine');
+const { DAY_MS } = require('./swapDeadlines');
+
+// How long archived items can be restored before the retention job purges them
+const ITEM_RETENTION_DAYS = parseInt(process.env.ITEM_RETENTION_DAYS) || 30;
+
+// How often the retention job runs
+const ITEM_RETENTION_INTERVAL_MS = DAY_MS;
+
+// Items purged per run, so one run can't hold the process for long
+const BATCH_SIZE = 100;
+
+/**
+ * Take an item off the market in place of deleting it. Pending swaps that
+ * request or offer it are closed, and a scheduled draft is unscheduled.
+ * Must be called inside a transaction with an item read in that session.
+ * @param {Object} item - Item document
+ * @param {string} actorId - Owner or admin archiving the item
+ * @param {Object} session - Mongoose session
+ * @returns {Object} Saved item
+ */
+const archiveItem = async (item, actorId, session) => {
+  const from = item.status;
+  transitionItem(item, 'archived');
+  item.archivedFromStatus = from;
+  item.deletedAt = new Date();
+  item.archivedBy = actorId;
+  item.publishAt = undefined;
+  await item.save({ session });
+
+  await closeCompetingSwaps([item._id], [], session, 'was removed from the market');
+
+  // Drafts never counted towards the owner's items
+  if (from !== 'draft') {
+    await User.updateOne({ _id: item.owner }, { $inc: { itemsCount: -1 } }, { session });
+  }
+
+  return item;
+};
+
+/**
+ * Put an archived item back in the status it was archived from. Must be
+ * called inside a transaction with an item read in that session.
+ * @param {Object} item - Item document
+ * @param {Object} session - Mongoose session
+ * @returns {Object} Saved item
+ */
+const restoreItem = async (item, session) => {
+  if (item.status !== 'archived') {
+    throw new ApiError(400, 'Only archived items can be restored');
+  }
+  if (item.purgedAt) {
+    throw new ApiError(400, 'This item was purged and can no longer be restored');
+  }
+
+  transitionItem(item, item.archivedFromStatus || 'listed');
+  item.archivedFromStatus = undefined;
+  item.deletedAt = undefined;
+  item.archivedBy = undefined;
+  await item.save({ session });
+
+  if (item.status !== 'draft') {
+    await User.updateOne({ _id: item.owner }, { $inc: { itemsCount: 1 } }, { session });
+  }
+
+  return item;
+};
+
+/**
+ * Purge items archived more than ITEM_RETENTION_DAYS ago. Items no swap
+ * refers to are deleted. Items in a swap's history keep their title, owner
+ * and value so the swap still shows them, but lose their images.
+ * @param {Date} [now] - Current time
+ * @returns {Object} Summary of the run
+ */
+const purgeArchivedItems = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - ITEM_RETENTION_DAYS * DAY_MS);
+  const items = await Item.find({ status: 'archived', deletedAt: { $lte: cutoff }, purgedAt: null })
+    .select('_id')
+    .sort({ deletedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  const summary = { deleted: 0, stripped: 0 };
+  if (items.length === 0) {
+    return summary;
+  }
+
+  const itemIds = items.map(item => item._id);
+  const [swaps, cycles] = await Promise.all([
+    Swap.find({
+      $or: [
+        { requestedItem: { $in: itemIds } },
+        { requestedItems: { $in: itemIds } },
+        { offeredItems: { $in: itemIds } }
+      ]
+    }).select('requestedItem requestedItems offeredItems'),
+    SwapCycle.find({ 'participants.givesItem': { $in: itemIds } }).select('participants.givesItem')
+  ]);
+
+  const referenced = new Set([
+    ...swaps.flatMap(swap => [swap.requestedItem, ...swap.requestedItems, ...swap.offeredItems]),
+    ...cycles.flatMap(cycle => cycle.participants.map(p => p.givesItem))
+  ].map(id => id.toString()));
+
+  const toStrip = itemIds.filter(id => referenced.has(id.toString()));
+  const toDelete = itemIds.filter(id => !referenced.has(id.toString()));
+
+  if (toDelete.length > 0) {
+    const result = await Item.deleteMany({ _id: { $in: toDelete } });
+    summary.deleted = result.deletedCount;
+  }
+  if (toStrip.length > 0) {
+    const result = await Item.updateMany(
+      { _id: { $in: toStrip } },
+      { images: [], likedBy: [], purgedAt: now }
+    );
+    summary.stripped = result.modifiedCount;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  ITEM_RETENTION_DAYS,
+  ITEM_RETENTION_INTERVAL_MS,
+  archiveItem,
+  restoreItem,
+  purgeArchivedItems
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const Item = require('../models/Item');
+const ImportImage = require('../models/ImportImage');
+const ImportJob = require('../models/ImportJob');
+const { getMimeType } = require('../middleware/upload');
+const { ApiError } = require('./errors');
+const { EDITABLE_ITEM_FIELDS } = require('./itemRevisions');
+const { publishItem } = require('./itemPublishing');
+const { runInTransaction } = require('./transaction');
+const { notifyUsers } = require('./notifications');
+const { itemValidation } = require('./validation');
+
+// Rows accepted in one manifest
+const MAX_IMPORT_ROWS = 200;
+
+// Same limits as uploading images to a single item
+const MAX_IMAGES_PER_ITEM = 5;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// How often the import job picks up queued and stalled imports
+const ITEM_IMPORT_INTERVAL_MS = 60 * 1000;
+
+// Imports that haven't made progress for this long are picked up again
+const STALLED_AFTER_MS = 10 * 60 * 1000;
+
+// CSV cells holding several values separate them with semicolons
+const toList = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(entry => String(entry).trim()).filter(Boolean);
+  }
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return String(value).split(';').map(entry => entry.trim()).filter(Boolean);
+};
+
+// Remove an uploaded file, ignoring files that are already gone
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+/**
+ * Read the rows of a CSV or JSON manifest. JSON manifests are an array of
+ * items or an object with an `items` array.
+ * @param {Object} file - Uploaded manifest (multer file)
+ * @returns {Object} Manifest format and rows
+ */
+const parseManifest = (file) => {
+  const format = path.extname(file.originalname).toLowerCase() === '.json' ? 'json' : 'csv';
+  const content = fs.readFileSync(file.path, 'utf8');
+
+  let rows;
+  try {
+    if (format === 'json') {
+      const parsed = JSON.parse(content);
+      rows = Array.isArray(parsed) ? parsed : parsed.items;
+    } else {
+      rows = parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    }
+  } catch (error) {
+    throw new ApiError(400, `Manifest could not be read: ${error.message}`);
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ApiError(400, 'Manifest has no items');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, `A manifest can have at most ${MAX_IMPORT_ROWS} items`);
+  }
+  return { format, rows };
+};
+
+/**
+ * Index the files of an image archive by their path and by their file name,
+ * so manifests can use either
+ * @param {string} archivePath - Path of the uploaded zip
+ * @returns {Map} Zip entries keyed by name
+ */
+const readImageArchive = (archivePath) => {
+  let entries;
+  try {
+    entries = new AdmZip(archivePath).getEntries();
+  } catch (error) {
+    throw new ApiError(400, 'Image archive is not a valid zip file');
+  }
+
+  const index = new Map();
+  for (const entry of entries) {
+    if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/')) continue;
+    index.set(entry.entryName, entry);
+    const name = path.posix.basename(entry.entryName);
+    if (!index.has(name)) index.set(name, entry);
+  }
+  return index;
+};
+
+/**
+ * Read an image out of the archive. The size in the zip header is checked
+ * first so oversized entries aren't inflated, but since the header can't be
+ * trusted the inflated data is checked as well.
+ * @param {Object} entry - Zip entry
+ * @param {string} name - Name the manifest uses for the image
+ * @returns {Buffer} Image data
+ */
+const readImage = (entry, name) => {
+  let data = null;
+  if (entry.header.size <= MAX_IMAGE_SIZE) {
+    try {
+      data = entry.getData();
+    } catch (error) {
+      throw new ApiError(400, `Image ${name} could not be read from the archive`);
+    }
+  }
+
+  if (!data || data.length > MAX_IMAGE_SIZE) {
+    throw new ApiError(400, `Image ${name} is larger than 5MB`);
+  }
+  return data;
+};
+
+/**
+ * Validate one manifest row with the rules for creating an item, and check
+ * that its images are in the archive
+ * @param {Object} row - Manifest row
+ * @param {Map} archive - Archive index from readImageArchive
+ * @param {string} ownerId - User importing the items
+ * @returns {Object} Listing fields, image names and validation errors
+ */
+const validateImportRow = async (row, archive, ownerId) => {
+  const fields = {};
+  for (const field of EDITABLE_ITEM_FIELDS) {
+    const value = row[field];
+    if (value === undefined || value === null || value === '') continue;
+    fields[field] = field === 'tags' ? toList(value) : value;
+  }
+
+  const req = { body: fields };
+  for (const chain of itemValidation()) {
+    await chain.run(req);
+  }
+  const requestErrors = validationResult(req).array();
+  const errors = requestErrors.map(error => error.msg);
+
+  // Schema rules the request validators don't cover, like season and style
+  const checkedPaths = new Set(requestErrors.map(error => error.path.split(/[.[]/)[0]));
+  const schemaErrors = new Item({ ...fields, owner: ownerId, status: 'draft' }).validateSync();
+  if (schemaErrors) {
+    errors.push(...Object.values(schemaErrors.errors)
+      .filter(error => !checkedPaths.has(error.path.split('.')[0]))
+      .map(error => error.message));
+  }
+
+  const images = toList(row.images);
+  if (images.length === 0) {
+    errors.push('At least one image is required');
+  } else if (images.length > MAX_IMAGES_PER_ITEM) {
+    errors.push(`At most ${MAX_IMAGES_PER_ITEM} images are allowed`);
+  }
+  for (const name of images) {
+    const entry = archive.get(name);
+    if (!entry) {
+      errors.push(`Image ${name} is not in the archive`);
+    } else if (!IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+      errors.push(`Image ${name} is not a supported image type`);
+    } else {
+      try {
+        readImage(entry, name);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+
+  return { fields, images, errors };
+};
+
+/**
+ * Parse and validate an uploaded manifest and image archive
+ * @param {Object} options
+ * @param {Object} options.manifest - Uploaded manifest (multer file)
+ * @param {Object} options.archive - Uploaded zip (multer file)
+ * @param {string} options.ownerId - User importing the items
+ * @returns {Object} Manifest format and the checked rows
+ */
+const prepareImport = async ({ manifest, archive, ownerId }) => {
+  const { format, rows } = parseManifest(manifest);
+  const index = readImageArchive(archive.path);
+
+  const checked = [];
+  for (const [i, row] of rows.entries()) {
+    const result = await validateImportRow(row || {}, index, ownerId);
+    checked.push({ row: i + 1, ...result });
+  }
+  return { format, rows: checked };
+};
+
+/**
+ * Queue the valid rows of a prepared import. Invalid rows are recorded as
+ * results straight away. The valid rows' images are copied into the
+ * database, so the import doesn't depend on the instance that received
+ * the upload.
+ * @param {Object} options
+ * @param {string} options.ownerId - User importing the items
+ * @param {string} options.format - Manifest format
+ * @param {Array} options.rows - Rows from prepareImport
+ * @param {string} options.archivePath - Path of the uploaded zip
+ * @returns {Object} Created import job
+ */
+const createImportJob = async ({ ownerId, format, rows, archivePath }) => {
+  const valid = rows.filter(row => row.errors.length === 0);
+  const invalid = rows.filter(row => row.errors.length > 0);
+
+  const job = new ImportJob({
+    owner: ownerId,
+    format,
+    rows: valid.map(({ row, fields, images }) => ({ row, fields, images })),
+    totalRows: rows.length,
+    validRows: valid.length,
+    failedCount: invalid.length,
+    results: invalid.map(({ row, errors }) => ({ row, status: 'invalid', messages: errors }))
+  });
+
+  // Stored one at a time so a large archive is never held in memory at once.
+  // The job is only saved once its images are, so no run can start early.
+  const archive = readImageArchive(archivePath);
+  try {
+    for (const name of new Set(valid.flatMap(row => row.images))) {
+      await ImportImage.create({
+        job: job._id,
+        name,
+        data: readImage(archive.get(name), name).toString('base64'),
+        contentType: getMimeType(name),
+        filename: path.posix.basename(name)
+      });
+    }
+    return await job.save();
+  } catch (error) {
+    await ImportImage.deleteMany({ job: job._id });
+    throw error;
+  }
+};
+
+/**
+ * Create the items of an import job, one transaction per row, recording
+ * progress as it goes. A job that was interrupted carries on from the first
+ * row it hadn't handled.
+ * @param {string} jobId - Import job ID
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} Finished job, or null if another run has it
+ */
+const runImportJob = async (jobId, now = new Date()) => {
+  // Claim the job so concurrent runs don't create the same items twice
+  const job = await ImportJob.findOneAndUpdate(
+    {
+      _id: jobId,
+      $or: [
+        { status: 'queued' },
+        { status: 'processing', updatedAt: { $lte: new Date(now.getTime() - STALLED_AFTER_MS) } }
+      ]
+    },
+    { status: 'processing', $min: { startedAt: now } },
+    { new: true }
+  ).select('+rows');
+
+  if (!job) {
+    return null;
+  }
+
+  try {
+    for (const row of job.rows.slice(job.processedRows)) {
+      let result;
+      try {
+        const stored = await ImportImage.find({ job: job._id, name: { $in: row.images } });
+        const byName = new Map(stored.map(image => [image.name, image]));
+
+        result = await runInTransaction(async (session) => {
+          const images = row.images.map(name => {
+            const image = byName.get(name);
+            if (!image) {
+              throw new Error(`Image ${name} is missing`);
+            }
+            return { data: image.data, contentType: image.contentType, filename: image.filename };
+          });
+
+          // Saved as a draft and published, like a draft that passed validation
+          const item = new Item({
+            ...row.fields,
+            owner: job.owner,
+            status: 'draft',
+            lockedBySwap: null,
+            images,
+            tags: row.fields.tags || []
+          });
+          await item.save({ session });
+          await publishItem(item, session);
+
+          const created = { row: row.row, status: 'created', item: item._id };
+          await ImportJob.updateOne(
+            { _id: job._id },
+            { $inc: { processedRows: 1, createdCount: 1 }, $push: { results: created } },
+            { session }
+          );
+          return created;
+        });
+      } catch (error) {
+        console.error(`Import ${job._id} row ${row.row} failed:`, error.message);
+        result = { row: row.row, status: 'failed', messages: [error.message] };
+        await ImportJob.updateOne(
+          { _id: job._id },
+          { $inc: { processedRows: 1, failedCount: 1 }, $push: { results: result } }
+        );
+      }
+    }
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: 'completed', finishedAt: new Date(), $unset: { rows: 1 } }
+    );
+  } catch (error) {
+    console.error(`Import ${job._id} failed:`, error);
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', error: error.message.slice(0, 500), finishedAt: new Date(), $unset: { rows: 1 } }
+    );
+  }
+
+  await ImportImage.deleteMany({ job: job._id });
+
+  const finished = await ImportJob.findById(job._id);
+  await notifyUsers([finished.owner], {
+    type: 'item_import_finished',
+    title: finished.status === 'completed' ? 'Import finished' : 'Import failed',
+    message: `${finished.createdCount} of ${finished.totalRows} items were created`
+  });
+
+  return finished;
+};
+
+/**
+ * Run imports that are queued, or that stalled because the server stopped
+ * while they were running
+ * @param {Date} [now] - Current time
+ * @returns {Object} Summary of the run
+ */
+const runPendingImports = async (now = new Date()) => {
+  const jobs = await ImportJob.find({
+    $or: [
+      { status: 'queued' },
+      { status: 'processing', updatedAt: { $lte: new Date(now.getTime() - STALLED_AFTER_MS) } }
+    ]
+  })
+    .select('_id')
+    .sort({ createdAt: 1 });
+
+  const summary = { jobs: 0, created: 0, failed: 0 };
+  for (const job of jobs) {
+    const finished = await runImportJob(job._id, now);
+    if (!finished) continue;
+    summary.jobs++;
+    summary.created += finished.createdCount;
+    summary.failed += finished.failedCount;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  ITEM_IMPORT_INTERVAL_MS,
+  removeFile,
+  prepareImport,
+  createImportJob,
+  runImportJob,
+  runPendingImports
+};
@@ -0,0 +1,130 @@
+const { validationResult } = require('express-validator');
+const Item = require('../models/Item');
+const User = require('../models/User');
+const { transitionItem } = require('./itemStatus');
+const { runInTransaction } = require('./transaction');
+const { grantReward } = require('./rewards');
+const { notifyUsers } = require('./notifications');
+const { checkListingPrice } = require('./valuation');
+const { itemValidation } = require('./validation');
+
+// How often scheduled drafts are checked
+const ITEM_PUBLISH_INTERVAL_MS = (parseInt(process.env.ITEM_PUBLISH_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+// Drafts published per run, so one run can't hold the process for long
+const BATCH_SIZE = 100;
+
+/**
+ * Check a draft against the same rules as a new listing
+ * @param {Object} item - Item document
+ * @returns {Array} Validation errors, empty when the draft can be published
+ */
+const validateItemForPublishing = async (item) => {
+  const req = { body: item.toObject() };
+  for (const chain of itemValidation()) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array();
+  if (!item.images || item.images.length === 0) {
+    errors.push({ type: 'field', path: 'images', location: 'body', msg: 'At least one image is required' });
+  }
+  return errors;
+};
+
+/**
+ * Put a draft on the market. The owner's first published item earns the
+ * first listing reward. Must be called inside a transaction with an item
+ * read in that session; the caller validates the draft first.
+ * @param {Object} item - Item document
+ * @param {Object} session - Mongoose session
+ * @returns {Object} Saved item
+ */
+const publishItem = async (item, session) => {
+  transitionItem(item, 'listed');
+  item.publishAt = undefined;
+
+  // Valuation problems never block a listing
+  try {
+    item.pricingFlag = await checkListingPrice(item);
+  } catch (error) {
+    console.error('Pricing check error:', error);
+  }
+  await item.save({ session });
+
+  await User.updateOne({ _id: item.owner }, { $inc: { itemsCount: 1 } }, { session });
+
+  const listingsCount = await Item.countDocuments({ owner: item.owner, status: { $ne: 'draft' } })
+    .session(session);
+  if (listingsCount === 1) {
+    await grantReward('first_listing', {
+      userId: item.owner,
+      item: item._id,
+      actor: item.owner,
+      session
+    });
+  }
+
+  return item;
+};
+
+/**
+ * Publish drafts whose publishAt time has passed and tell their owners.
+ * Drafts that no longer pass validation stay drafts with the schedule
+ * cleared, so they aren't retried every run.
+ * @param {Date} [now] - Current time
+ * @returns {Object} Summary of the run
+ */
+const runScheduledPublishing = async (now = new Date()) => {
+  const drafts = await Item.find({ status: 'draft', publishAt: { $lte: now } })
+    .select('_id')
+    .sort({ publishAt: 1 })
+    .limit(BATCH_SIZE);
+
+  const summary = { published: 0, invalid: 0, failed: 0 };
+  for (const draft of drafts) {
+    try {
+      const outcome = await runInTransaction(async (session) => {
+        const item = await Item.findById(draft._id).session(session);
+        if (!item || item.status !== 'draft' || !item.publishAt || item.publishAt > now) {
+          return null;
+        }
+
+        const errors = await validateItemForPublishing(item);
+        if (errors.length > 0) {
+          item.publishAt = undefined;
+          await item.save({ session });
+          await notifyUsers([item.owner], {
+            type: 'item_publish_failed',
+            title: 'Scheduled listing not published',
+            message: (`"${item.title || 'Untitled draft'}" needs changes before it can be published: ` +
+              errors.map(error => error.msg).join('; ')).slice(0, 500)
+          }, session);
+          return 'invalid';
+        }
+
+        await publishItem(item, session);
+        await notifyUsers([item.owner], {
+          type: 'item_published',
+          title: 'Listing published',
+          message: `"${item.title}" is now listed`
+        }, session);
+        return 'published';
+      });
+
+      if (outcome) summary[outcome]++;
+    } catch (error) {
+      console.error(`Failed to publish draft ${draft._id}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  ITEM_PUBLISH_INTERVAL_MS,
+  validateItemForPublishing,
+  publishItem,
+  runScheduledPublishing
+};
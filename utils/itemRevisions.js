@@ -0,0 +1,102 @@
+const ItemRevision = require('../models/ItemRevision');
+const { transitionItem } = require('./itemStatus');
+const { closeCompetingSwaps } = require('./swapStateMachine');
+
+// Fields owners can change after listing an item. Images are replaced by
+// uploading new ones.
+const EDITABLE_ITEM_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'size',
+  'condition',
+  'brand',
+  'material',
+  'tags',
+  'pointsValue',
+  'location',
+  'measurements',
+  'careInstructions',
+  'originalPrice',
+  'age',
+  'season',
+  'style'
+];
+
+// Changes to these fields of an approved or rejected item need a moderator
+// to look at the item again
+const MODERATED_ITEM_FIELDS = ['images', 'title', 'description', 'category'];
+
+// Statuses whose items are sent back to moderation by a moderated change
+const REVIEWED_STATUSES = ['listed', 'rejected'];
+
+// Keep image data out of revisions
+const toRevisionValue = (field, value) => {
+  if (field === 'images') {
+    return (value || []).map(({ filename, contentType }) => ({ filename, contentType }));
+  }
+  return value;
+};
+
+/**
+ * Apply an owner's edit to an item and store it as a revision. Edits to the
+ * moderated fields of a listed or rejected item send it back to the
+ * moderation queue and close pending offers involving it. Must be called
+ * inside a transaction with an item read in that session.
+ * @param {Object} item - Item document
+ * @param {Object} changes - New field values, only editable fields and images
+ * @param {string} editorId - User making the edit
+ * @param {Object} session - Mongoose session
+ * @returns {Object|null} The revision, or null if nothing changed
+ */
+const reviseItem = async (item, changes, editorId, session) => {
+  const before = item.toObject();
+  item.set(changes);
+
+  const changedFields = Object.keys(changes).filter(field => item.isModified(field));
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  const after = item.toObject();
+  const statusBefore = item.status;
+  const requiresReview = REVIEWED_STATUSES.includes(statusBefore) &&
+    changedFields.some(field => MODERATED_ITEM_FIELDS.includes(field));
+
+  if (requiresReview) {
+    transitionItem(item, 'pending_review');
+    item.rejectionReason = undefined;
+  }
+  await item.save({ session });
+
+  if (requiresReview) {
+    await closeCompetingSwaps([item._id], [], session, 'was sent back for review');
+  }
+
+  const latest = await ItemRevision.findOne({ item: item._id })
+    .sort({ version: -1 })
+    .select('version')
+    .session(session);
+
+  const [revision] = await ItemRevision.create([{
+    item: item._id,
+    version: latest ? latest.version + 1 : 1,
+    editor: editorId,
+    changes: changedFields.map(field => ({
+      field,
+      from: toRevisionValue(field, before[field]),
+      to: toRevisionValue(field, after[field])
+    })),
+    statusBefore,
+    statusAfter: item.status,
+    requiresReview
+  }], { session });
+
+  return revision;
+};
+
+module.exports = {
+  EDITABLE_ITEM_FIELDS,
+  MODERATED_ITEM_FIELDS,
+  reviseItem
+};
@@ -0,0 +1,62 @@
+const { ApiError } = require('./errors');
+
+const ITEM_STATUSES = [
+  'draft',
+  'pending_review',
+  'listed',
+  'reserved',
+  'swapped',
+  'redeemed',
+  'archived',
+  'rejected'
+];
+
+// Statuses an item can move to from each status:
+// - listed: on the market, the only status that can be requested or offered
+// - reserved: locked to an accepted swap (lockedBySwap)
+// - swapped / redeemed: changed hands, kept for history
+// - archived: removed by its owner or an admin, restorable until purged
+// - rejected: taken down by a moderator, until approved or resubmitted
+const ITEM_TRANSITIONS = {
+  draft: ['pending_review', 'listed', 'archived'],
+  pending_review: ['listed', 'rejected', 'archived'],
+  listed: ['pending_review', 'reserved', 'redeemed', 'rejected', 'archived'],
+  reserved: ['listed', 'swapped'],
+  swapped: ['listed'],
+  redeemed: [],
+  archived: ['draft', 'pending_review', 'listed', 'rejected'],
+  rejected: ['pending_review', 'listed', 'archived']
+};
+
+/**
+ * Check whether an item can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} Whether the transition is allowed
+ */
+const canTransitionItem = (from, to) => {
+  return (ITEM_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Move an item to a new status, refusing transitions that aren't allowed.
+ * The caller saves the item.
+ * @param {Object} item - Item document
+ * @param {string} to - New status
+ * @returns {Object} The item
+ */
+const transitionItem = (item, to) => {
+  if (!canTransitionItem(item.status, to)) {
+    throw new ApiError(400, `Item cannot go from ${item.status} to ${to}`);
+  }
+
+  item.status = to;
+  return item;
+};
+
+module.exports = {
+  ITEM_STATUSES,
+  ITEM_TRANSITIONS,
+  canTransitionItem,
+  transitionItem
+};
@@ -1,6 +1,9 @@
 const axios = require('axios');
 const Item = require('../models/Item');
 const User = require('../models/User');
+const Swap = require('../models/Swap');
+const Review = require('../models/Review');
+const { recalculateUserRating } = require('./reviews');
 
 /**
  * Download image from URL and convert to base64
@@ -137,15 +140,169 @@ const migrateUserAvatars = async (userId = null) => {
 };
 
 /**
- * Run full migration (items and users)
+ * Copy ratings stored on swaps before reviews existed into Review documents
+ * and recompute the rating of everyone who received one. Safe to run again:
+ * swaps that already have a review from the same party are skipped.
+ */
+const migrateSwapRatings = async () => {
+  try {
+    const swaps = await Swap.find({
+      $or: [
+        { 'rating.requesterRating.rating': { $gte: 1 } },
+        { 'rating.ownerRating.rating': { $gte: 1 } }
+      ]
+    }).populate('requestedItem', 'owner');
+
+    console.log(`Found ${swaps.length} swaps with ratings to migrate`);
+
+    const reviewees = new Set();
+    let created = 0;
+
+    for (const swap of swaps) {
+      if (!swap.requestedItem) {
+        console.log(`  ✗ Skipping swap ${swap._id}: requested item no longer exists`);
+        continue;
+      }
+
+      const ownerId = swap.requestedItem.owner;
+      const entries = [
+        { role: 'requester', reviewer: swap.requester, reviewee: ownerId, legacy: swap.rating.requesterRating },
+        { role: 'owner', reviewer: ownerId, reviewee: swap.requester, legacy: swap.rating.ownerRating }
+      ];
+
+      for (const { role, reviewer, reviewee, legacy } of entries) {
+        if (!legacy || !legacy.rating) continue;
+
+        const createdAt = legacy.createdAt || swap.updatedAt;
+        const result = await Review.updateOne(
+          { swap: swap._id, reviewer },
+          {
+            $setOnInsert: {
+              reviewee,
+              reviewerRole: role,
+              rating: legacy.rating,
+              comment: legacy.comment || '',
+              // Five-star ratings were rewarded when they were given
+              ...(legacy.rating === 5 && { fiveStarRewardedAt: createdAt }),
+              createdAt,
+              updatedAt: createdAt
+            }
+          },
+          { upsert: true, timestamps: false }
+        );
+
+        if (result.upsertedCount > 0) {
+          created++;
+          reviewees.add(reviewee.toString());
+        }
+      }
+    }
+
+    for (const userId of reviewees) {
+      await recalculateUserRating(userId);
+    }
+
+    console.log(`  ✓ Created ${created} reviews and updated ${reviewees.size} user ratings`);
+    console.log('Swap rating migration completed successfully');
+  } catch (error) {
+    console.error('Error during swap rating migration:', error);
+  }
+};
+
+/**
+ * Work out the lifecycle status of an item stored with the old availability,
+ * moderation and redemption flags. Items taken off the market by a swap are
+ * reserved or swapped depending on that swap, and any other unavailable
+ * item is archived.
+ * @param {Object} item - Raw item document
+ * @returns {Object} Status and the swap the item is committed to, if any
+ */
+const getLegacyItemStatus = async (item) => {
+  if (item.redeemedAt || item.redeemedBy) {
+    return { status: 'redeemed' };
+  }
+  if (item.isRejected) {
+    return { status: 'rejected' };
+  }
+  if (item.isApproved === false) {
+    return { status: 'pending_review' };
+  }
+  if (item.isAvailable !== false) {
+    return { status: 'listed' };
+  }
+
+  const swap = item.lockedBySwap
+    ? await Swap.findById(item.lockedBySwap).select('status')
+    : await Swap.findOne({
+      status: { $in: ['accepted', 'completed'] },
+      $or: [
+        { requestedItem: item._id },
+        { requestedItems: item._id },
+        { offeredItems: item._id }
+      ]
+    }).sort({ updatedAt: -1 }).select('status');
+
+  if (swap && swap.status === 'accepted') {
+    return { status: 'reserved', lockedBySwap: swap._id };
+  }
+  if (swap && swap.status === 'completed') {
+    return { status: 'swapped', lockedBySwap: swap._id };
+  }
+  return { status: 'archived' };
+};
+
+/**
+ * Give items created before lifecycle statuses a status and drop the old
+ * isAvailable, isApproved and isRejected flags. Safe to run again: items
+ * that already have a status are skipped.
+ */
+const migrateItemStatus = async () => {
+  try {
+    // Read the raw documents, since the model no longer has the old flags
+    const items = await Item.collection
+      .find({ status: { $exists: false } })
+      .project({ isAvailable: 1, isApproved: 1, isRejected: 1, redeemedAt: 1, redeemedBy: 1, lockedBySwap: 1 })
+      .toArray();
+
+    console.log(`Found ${items.length} items to migrate`);
+
+    const counts = {};
+    for (const item of items) {
+      const { status, lockedBySwap } = await getLegacyItemStatus(item);
+
+      await Item.collection.updateOne(
+        { _id: item._id },
+        {
+          $set: { status, ...(lockedBySwap && { lockedBySwap }) },
+          $unset: { isAvailable: '', isApproved: '', isRejected: '' }
+        }
+      );
+      counts[status] = (counts[status] || 0) + 1;
+    }
+
+    for (const [status, count] of Object.entries(counts)) {
+      console.log(`  ✓ ${count} items ${status}`);
+    }
+    console.log('Item status migration completed successfully');
+  } catch (error) {
+    console.error('Error during item status migration:', error);
+  }
+};
+
+/**
+ * Run full migration: item statuses first, since saving an item through
+ * the model would give it the default status, then images, avatars and
+ * swap ratings. Every step is safe to run again.
  */
 const runFullMigration = async () => {
   console.log('Starting full migration...');
-  console.log('This will convert all Cloudinary URLs to base64 format');
+  console.log('This will give items a status, convert all Cloudinary URLs to base64 format and copy swap ratings into reviews');
   console.log('This process may take a while depending on the number of images');
   
+  await migrateItemStatus();
   await migrateItemImages();
   await migrateUserAvatars();
+  await migrateSwapRatings();
   
   console.log('Full migration completed!');
 };
@@ -153,5 +310,7 @@ const runFullMigration = async () => {
 module.exports = {
   migrateItemImages,
   migrateUserAvatars,
+  migrateSwapRatings,
+  migrateItemStatus,
   runFullMigration
 }; 
\ No newline at end of file
@@ -0,0 +1,22 @@
+const Notification = require('../models/Notification');
+
+/**
+ * Create the same in-app notification for several users
+ * @param {Array} userIds - Users to notify
+ * @param {Object} notification
+ * @param {string} notification.type - Notification type
+ * @param {string} notification.title - Short title
+ * @param {string} [notification.message] - Details
+ * @param {string} [notification.swap] - Related swap ID
+ * @param {string} [notification.dispute] - Related dispute ID
+ * @param {Object} [session] - Mongoose session
+ * @returns {Array} Created notifications
+ */
+const notifyUsers = (userIds, { type, title, message = '', swap, dispute }, session = null) => {
+  const docs = userIds.map(user => ({ user, type, title, message, swap, dispute }));
+  return Notification.insertMany(docs, { session });
+};
+
+module.exports = {
+  notifyUsers
+};
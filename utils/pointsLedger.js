@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const PointsTransaction = require('../models/PointsTransaction');
+const { ApiError } = require('./errors');
+
+/**
+ * Apply a change to a user's available and held balances and append it to
+ * the ledger. Decrements are guarded so neither balance can go below zero.
+ * @param {Object} options
+ * @param {string} options.userId - User whose balance changes
+ * @param {number} options.available - Signed change to available points
+ * @param {number} options.held - Signed change to held points
+ * @param {string} options.reason - Ledger reason code
+ * @param {string} [options.description] - Human readable note
+ * @param {string} [options.swap] - Related swap ID
+ * @param {string} [options.item] - Related item ID
+ * @param {string} [options.transfer] - Related points transfer ID
+ * @param {string} [options.actor] - User who triggered the movement
+ * @param {string} [options.rewardEvent] - Reward rule that granted the points
+ * @param {Object} [options.session] - Mongoose session
+ * @returns {Object} Balances after the change and the ledger entry
+ */
+const applyBalanceChange = async ({ userId, available = 0, held = 0, reason, description = '', swap, item, transfer, actor, rewardEvent, session }) => {
+  const filter = { _id: userId };
+  if (available < 0) {
+    filter.points = { $gte: -available };
+  }
+  if (held < 0) {
+    filter.heldPoints = { $gte: -held };
+  }
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { points: available, heldPoints: held } },
+    { new: true, session }
+  ).select('points heldPoints');
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId }).session(session || null);
+    if (!exists) {
+      throw new ApiError(404, 'User not found');
+    }
+    throw new ApiError(400, held < 0 ? 'Insufficient held points' : 'Insufficient points balance');
+  }
+
+  const [transaction] = await PointsTransaction.create([{
+    user: userId,
+    amount: available,
+    heldChange: held,
+    reason,
+    rewardEvent,
+    description,
+    swap,
+    item,
+    transfer,
+    actor,
+    balanceAfter: user.points,
+    heldAfter: user.heldPoints
+  }], { session });
+
+  return { balance: user.points, held: user.heldPoints, transaction };
+};
+
+/**
+ * Change a user's available points balance and record it in the ledger
+ * @param {Object} options - See applyBalanceChange; amount is the signed change
+ * @returns {Object} Balances after the change and the ledger entry
+ */
+const adjustPoints = async ({ amount, ...options }) => {
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new ApiError(400, 'Points amount must be a non-zero integer');
+  }
+
+  return applyBalanceChange({ ...options, available: amount });
+};
+
+/**
+ * Move points from a user's available balance into escrow
+ * @param {Object} options - See applyBalanceChange; amount is positive
+ * @returns {Object} Balances after the change and the ledger entry
+ */
+const holdPoints = async ({ amount, reason = 'escrow_hold', ...options }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ApiError(400, 'Points amount must be a positive integer');
+  }
+
+  return applyBalanceChange({ ...options, available: -amount, held: amount, reason });
+};
+
+/**
+ * Return escrowed points to a user's available balance
+ * @param {Object} options - See applyBalanceChange; amount is positive
+ * @returns {Object} Balances after the change and the ledger entry
+ */
+const releaseHeldPoints = async ({ amount, reason = 'escrow_release', ...options }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ApiError(400, 'Points amount must be a positive integer');
+  }
+
+  return applyBalanceChange({ ...options, available: amount, held: -amount, reason });
+};
+
+/**
+ * Pay escrowed points from one user to another
+ * @param {Object} options
+ * @param {string} options.fromUserId - User whose held points are spent
+ * @param {string} options.toUserId - User credited with the points
+ * @param {number} options.amount - Positive amount to settle
+ * @param {string} options.debitReason - Ledger reason for the payer
+ * @param {string} options.creditReason - Ledger reason for the payee
+ * @returns {Object} Ledger entries for both sides
+ */
+const settleHeldPoints = async ({ fromUserId, toUserId, amount, debitReason, creditReason, ...options }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new ApiError(400, 'Points amount must be a positive integer');
+  }
+
+  const debit = await applyBalanceChange({
+    ...options,
+    userId: fromUserId,
+    held: -amount,
+    reason: debitReason
+  });
+
+  const credit = await applyBalanceChange({
+    ...options,
+    userId: toUserId,
+    available: amount,
+    reason: creditReason
+  });
+
+  return { debit: debit.transaction, credit: credit.transaction };
+};
+
+module.exports = {
+  adjustPoints,
+  holdPoints,
+  releaseHeldPoints,
+  settleHeldPoints
+};
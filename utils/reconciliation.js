@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const User = require('../models/User');
+const Swap = require('../models/Swap');
+const Review = require('../models/Review');
+const PointsTransaction = require('../models/PointsTransaction');
+
+// Swaps that count towards a user's swapsCount
+const COUNTED_SWAP_STATUSES = ['accepted', 'completed'];
+
+/**
+ * Turn an aggregation result into a map keyed by user ID
+ * @param {Array} rows - Aggregation rows with an _id user field
+ * @returns {Map} Rows keyed by user ID string
+ */
+const toUserMap = (rows) => {
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+/**
+ * Count items per owner, excluding drafts, archived items and items the
+ * owner redeemed back
+ * @param {Object} userMatch - Optional owner filter
+ * @returns {Map} Counts keyed by user ID
+ */
+const countItems = async (userMatch) => {
+  const rows = await Item.aggregate([
+    {
+      $match: {
+        redemptionType: { $ne: 'owner_purchase' },
+        status: { $nin: ['archived', 'draft'] },
+        ...(userMatch && { owner: userMatch })
+      }
+    },
+    { $group: { _id: '$owner', count: { $sum: 1 } } }
+  ]);
+  return toUserMap(rows);
+};
+
+/**
+ * Count accepted and completed swaps per participant (circular swaps once
+ * per participant)
+ * @param {Object} userMatch - Optional participant filter
+ * @returns {Map} Swap counts keyed by user ID
+ */
+const countSwaps = async (userMatch) => {
+  const rows = await Swap.aggregate([
+    { $match: { status: { $in: COUNTED_SWAP_STATUSES } } },
+    {
+      $lookup: {
+        from: 'items',
+        localField: 'requestedItem',
+        foreignField: '_id',
+        as: 'requestedItemData'
+      }
+    },
+    // Swaps whose item was deleted before archiving existed still count
+    // for the requester
+    { $unwind: { path: '$requestedItemData', preserveNullAndEmptyArrays: true } },
+    {
+      // Circular swap participants make one trade across two linked swaps
+      $project: {
+        participants: {
+          $cond: [
+            { $ifNull: ['$cycle', false] },
+            ['$requester'],
+            ['$requester', '$requestedItemData.owner']
+          ]
+        }
+      }
+    },
+    { $unwind: '$participants' },
+    { $match: { participants: { $ne: null } } },
+    ...(userMatch ? [{ $match: { participants: userMatch } }] : []),
+    { $group: { _id: '$participants', count: { $sum: 1 } } }
+  ]);
+  return toUserMap(rows);
+};
+
+/**
+ * Average the reviews each user received
+ * @param {Object} userMatch - Optional reviewee filter
+ * @returns {Map} Rating aggregates keyed by user ID
+ */
+const aggregateReviews = async (userMatch) => {
+  const rows = await Review.aggregate([
+    ...(userMatch ? [{ $match: { reviewee: userMatch } }] : []),
+    {
+      $group: {
+        _id: '$reviewee',
+        average: { $avg: '$rating' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  return toUserMap(rows);
+};
+
+/**
+ * Derive each user's expected balances from the points ledger. Users whose
+ * history starts with the signup entry are checked against the sum of all
+ * entries; older accounts only have partial history, so their latest entry
+ * is used instead.
+ * @param {Object} userMatch - Optional user filter
+ * @returns {Map} Expected balances keyed by user ID
+ */
+const aggregateLedger = async (userMatch) => {
+  const rows = await PointsTransaction.aggregate([
+    ...(userMatch ? [{ $match: { user: userMatch } }] : []),
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$user',
+        amountSum: { $sum: '$amount' },
+        heldSum: { $sum: '$heldChange' },
+        lastBalance: { $last: '$balanceAfter' },
+        lastHeld: { $last: '$heldAfter' },
+        hasSignup: { $max: { $eq: ['$reason', 'signup_bonus'] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.hasSignup
+    ? { points: row.amountSum, heldPoints: row.heldSum, source: 'ledger_sum' }
+    : { points: row.lastBalance, heldPoints: row.lastHeld || 0, source: 'last_entry' }
+  ]));
+};
+
+/**
+ * Recompute denormalized user counters and balances from the Item, Swap,
+ * Review and PointsTransaction collections and report any drift
+ * @param {Object} options
+ * @param {boolean} options.apply - Write the expected values back to users
+ * @param {string} options.userId - Only check this user (optional)
+ * @returns {Object} Reconciliation report
+ */
+const reconcileUserCounters = async ({ apply = false, userId = null } = {}) => {
+  const userMatch = userId ? new mongoose.Types.ObjectId(userId) : null;
+
+  const [items, swaps, ratings, ledger] = await Promise.all([
+    countItems(userMatch),
+    countSwaps(userMatch),
+    aggregateReviews(userMatch),
+    aggregateLedger(userMatch)
+  ]);
+
+  const users = await User.find(userMatch ? { _id: userMatch } : {})
+    .select('username itemsCount swapsCount rating reviewsCount points heldPoints');
+
+  const discrepancies = [];
+
+  for (const user of users) {
+    const key = user._id.toString();
+    const rating = ratings.get(key);
+    const balances = ledger.get(key);
+
+    const expected = {
+      itemsCount: items.has(key) ? items.get(key).count : 0,
+      swapsCount: swaps.has(key) ? swaps.get(key).count : 0,
+      rating: rating ? Math.round(rating.average * 100) / 100 : 0,
+      reviewsCount: rating ? rating.count : 0
+    };
+
+    // Balances are only checked for users with ledger history
+    if (balances) {
+      expected.points = balances.points;
+      expected.heldPoints = balances.heldPoints;
+    }
+
+    const fields = {};
+    for (const [field, value] of Object.entries(expected)) {
+      const stored = user[field] || 0;
+      if (stored !== value) {
+        fields[field] = { stored, expected: value };
+      }
+    }
+
+    if (Object.keys(fields).length === 0) continue;
+
+    discrepancies.push({
+      userId: user._id,
+      username: user.username,
+      ...(balances && { pointsSource: balances.source }),
+      fields
+    });
+
+    if (apply) {
+      const update = {};
+      for (const [field, { expected: value }] of Object.entries(fields)) {
+        update[field] = value;
+      }
+      await User.updateOne({ _id: user._id }, { $set: update });
+    }
+  }
+
+  return {
+    mode: apply ? 'apply' : 'dry-run',
+    checkedUsers: users.length,
+    usersWithDiscrepancies: discrepancies.length,
+    discrepancies
+  };
+};
+
+module.exports = {
+  reconcileUserCounters
+};
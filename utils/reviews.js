@@ -0,0 +1,49 @@
+const Review = require('../models/Review');
+const User = require('../models/User');
+const { grantReward } = require('./rewards');
+
+// How long reviewers can change their rating and comment
+const REVIEW_EDIT_WINDOW_DAYS = parseInt(process.env.REVIEW_EDIT_WINDOW_DAYS) || 7;
+
+/**
+ * Recompute a user's rating and review count from the reviews they received
+ * @param {string} userId - Reviewed user
+ * @param {Object} [session] - Mongoose session
+ * @returns {Object} Rating summary
+ */
+const recalculateUserRating = async (userId, session = null) => {
+  const summary = await Review.getRatingSummary(userId, session);
+
+  await User.updateOne(
+    { _id: userId },
+    { rating: summary.rating, reviewsCount: summary.reviewsCount },
+    { session }
+  );
+
+  return summary;
+};
+
+/**
+ * Grant the five-star reward the first time a review reaches five stars,
+ * so editing a review back and forth can't earn it twice
+ * @param {Object} review - Review document (saved by the caller)
+ * @param {string} actorId - Reviewer
+ * @param {Object} [session] - Mongoose session
+ */
+const rewardFiveStarReview = async (review, actorId, session = null) => {
+  if (review.rating !== 5 || review.fiveStarRewardedAt) return;
+
+  await grantReward('five_star_rating', {
+    userId: review.reviewee,
+    swap: review.swap,
+    actor: actorId,
+    session
+  });
+  review.fiveStarRewardedAt = new Date();
+};
+
+module.exports = {
+  REVIEW_EDIT_WINDOW_DAYS,
+  recalculateUserRating,
+  rewardFiveStarReview
+};
@@ -0,0 +1,130 @@
+const RewardRule = require('../models/RewardRule');
+const PointsTransaction = require('../models/PointsTransaction');
+const { adjustPoints } = require('./pointsLedger');
+
+// Rules used until an admin stores a configuration for the event
+const DEFAULT_REWARD_RULES = {
+  signup: {
+    points: 100,
+    enabled: true,
+    description: 'Welcome bonus',
+    maxPerDay: null,
+    maxPerUser: 1
+  },
+  first_listing: {
+    points: 50,
+    enabled: false,
+    description: 'Bonus for listing your first item',
+    maxPerDay: null,
+    maxPerUser: 1
+  },
+  swap_completed: {
+    points: 100,
+    enabled: true,
+    description: 'Bonus for a successful swap',
+    maxPerDay: null,
+    maxPerUser: null
+  },
+  five_star_rating: {
+    points: 10,
+    enabled: false,
+    description: 'Bonus for receiving a 5-star rating',
+    maxPerDay: 5,
+    maxPerUser: null
+  }
+};
+
+// Ledger reasons kept for events that predate the rules engine
+const LEDGER_REASONS = {
+  signup: 'signup_bonus',
+  swap_completed: 'swap_bonus'
+};
+
+const REWARD_EVENTS = Object.keys(DEFAULT_REWARD_RULES);
+
+/**
+ * Get the effective rule for a reward event
+ * @param {string} event - Reward event name
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Object} Stored rule or the default for the event
+ */
+const getRewardRule = async (event, session = null) => {
+  const stored = await RewardRule.findOne({ event }).session(session).lean();
+  if (stored) {
+    return { ...stored, isDefault: false };
+  }
+
+  return { event, ...DEFAULT_REWARD_RULES[event], isDefault: true };
+};
+
+/**
+ * Get the effective rules for every reward event
+ * @returns {Array} Rules in event order
+ */
+const getRewardRules = async () => {
+  const stored = await RewardRule.find().populate('updatedBy', 'username firstName lastName').lean();
+  const byEvent = new Map(stored.map(rule => [rule.event, rule]));
+
+  return REWARD_EVENTS.map(event => byEvent.has(event)
+    ? { ...byEvent.get(event), isDefault: false }
+    : { event, ...DEFAULT_REWARD_RULES[event], isDefault: true });
+};
+
+/**
+ * Credit a user according to the rule for an event, respecting its caps
+ * @param {string} event - Reward event name
+ * @param {Object} options
+ * @param {string} options.userId - User receiving the reward
+ * @param {string} [options.swap] - Related swap ID
+ * @param {string} [options.item] - Related item ID
+ * @param {string} [options.actor] - User who triggered the event
+ * @param {Object} [options.session] - Mongoose session
+ * @returns {Object|null} Ledger result, or null when nothing was granted
+ */
+const grantReward = async (event, { userId, swap, item, actor, session = null }) => {
+  const rule = await getRewardRule(event, session);
+
+  if (!rule || !rule.enabled || rule.points <= 0) {
+    return null;
+  }
+
+  if (rule.maxPerUser) {
+    const earned = await PointsTransaction.countDocuments({
+      user: userId,
+      rewardEvent: event
+    }).session(session);
+    if (earned >= rule.maxPerUser) return null;
+  }
+
+  if (rule.maxPerDay) {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const earnedToday = await PointsTransaction.countDocuments({
+      user: userId,
+      rewardEvent: event,
+      createdAt: { $gte: startOfDay }
+    }).session(session);
+    if (earnedToday >= rule.maxPerDay) return null;
+  }
+
+  return adjustPoints({
+    userId,
+    amount: rule.points,
+    reason: LEDGER_REASONS[event] || 'reward',
+    rewardEvent: event,
+    description: rule.description,
+    swap,
+    item,
+    actor,
+    session
+  });
+};
+
+module.exports = {
+  REWARD_EVENTS,
+  DEFAULT_REWARD_RULES,
+  getRewardRule,
+  getRewardRules,
+  grantReward
+};
@@ -0,0 +1,67 @@
+// Background jobs run on an interval inside the API process
+const jobs = new Map();
+
+/**
+ * Register a job to run on a fixed interval once the scheduler starts.
+ * A run is skipped if the previous one is still in progress.
+ * @param {string} name - Job name, used in logs
+ * @param {number} intervalMs - Time between runs in milliseconds
+ * @param {Function} task - Async function to run; its result is logged
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+  jobs.set(name, { intervalMs, task, timer: null, running: false });
+};
+
+/**
+ * Run a registered job now
+ * @param {string} name - Job name
+ * @returns {*} The task's result, or undefined if it was skipped or failed
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) return undefined;
+
+  job.running = true;
+  try {
+    const result = await job.task();
+    console.log(`Job ${name} finished:`, result);
+    return result;
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    return undefined;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start every registered job. Timers don't keep the process alive.
+ */
+const startScheduler = () => {
+  for (const [name, job] of jobs) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(name), job.intervalMs);
+    job.timer.unref();
+    console.log(`Scheduled job ${name} every ${Math.round(job.intervalMs / 60000)} minutes`);
+  }
+};
+
+/**
+ * Stop every running job timer
+ */
+const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+module.exports = {
+  scheduleJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,162 @@
+const Swap = require('../models/Swap');
+const { getCarrier, listCarriers } = require('./carriers');
+const { transitionSwap } = require('./swapStateMachine');
+const { runInTransaction } = require('./transaction');
+const { notifyUsers } = require('./notifications');
+
+// How often shipments are checked with their carriers
+const SHIPMENT_TRACKING_INTERVAL_MS = (parseInt(process.env.SHIPMENT_TRACKING_INTERVAL_MINUTES) || 30) * 60 * 1000;
+
+// Swaps checked per run, so one run can't hold the process for long
+const BATCH_SIZE = 100;
+
+// Shipment states the carrier can still move forward
+const TRACKABLE_STATUSES = ['shipped', 'in_transit'];
+
+/**
+ * Shipment a participant receives: the requester gets the requested item,
+ * the owner gets the offered items
+ * @param {boolean} isRequester - Whether the participant is the requester
+ * @returns {string} Shipment direction
+ */
+const getIncomingDirection = (isRequester) => (isRequester ? 'toRequester' : 'toOwner');
+
+/**
+ * Shipment a participant sends
+ * @param {boolean} isRequester - Whether the participant is the requester
+ * @returns {string} Shipment direction
+ */
+const getOutgoingDirection = (isRequester) => (isRequester ? 'toOwner' : 'toRequester');
+
+/**
+ * Ask the carriers about a swap's shipments in transit and record what they
+ * report. Deliveries confirm the handoff for their recipient, and the swap
+ * completes once everything has arrived.
+ * @param {string} swapId - Swap ID
+ * @param {Date} [now] - Current time
+ * @returns {Object} Shipments checked and delivered, and whether the swap completed
+ */
+const refreshSwapShipments = async (swapId, now = new Date()) => {
+  const result = { checked: 0, delivered: 0, completed: false };
+
+  const swap = await Swap.findById(swapId).populate('requestedItem', 'owner title');
+  if (!swap || swap.status !== 'accepted' || swap.fulfillment !== 'shipping') {
+    return result;
+  }
+
+  // Carriers are asked outside the transaction so it stays short
+  const reports = {};
+  for (const direction of swap.getShipmentDirections()) {
+    const shipment = swap.shipping[direction];
+    const carrier = getCarrier(shipment.carrier);
+    if (!carrier || !TRACKABLE_STATUSES.includes(shipment.status)) continue;
+
+    reports[direction] = await carrier.getStatus(shipment.trackingNumber);
+    result.checked++;
+  }
+
+  if (result.checked === 0) {
+    return result;
+  }
+
+  const ownerId = swap.requestedItem.owner;
+  const title = swap.requestedItem.title;
+
+  await runInTransaction(async (session) => {
+    const current = await Swap.findOne({ _id: swap._id, status: 'accepted' }).session(session);
+    if (!current) return;
+
+    const delivered = [];
+    for (const [direction, report] of Object.entries(reports)) {
+      const shipment = current.shipping[direction];
+      // The recipient may have confirmed delivery in the meantime
+      if (shipment.status === 'delivered') continue;
+
+      shipment.lastCheckedAt = now;
+      shipment.carrierStatus = report.description ? report.description.slice(0, 200) : undefined;
+
+      if (report.status === 'delivered') {
+        current.markShipmentDelivered(direction, 'carrier', report.deliveredAt || now);
+        delivered.push(direction);
+      } else if (report.status === 'in_transit') {
+        shipment.status = 'in_transit';
+      }
+    }
+
+    for (const direction of delivered) {
+      await notifyUsers([current.requester, ownerId], {
+        type: 'swap_delivered',
+        title: 'Package delivered',
+        message: `The carrier delivered the ${direction === 'toRequester' ? 'requested item' : 'offered items'} for the swap of "${title}".`,
+        swap: current._id
+      }, session);
+    }
+    result.delivered = delivered.length;
+
+    if (delivered.length > 0 && current.isHandoffComplete(now) && !current.activeDispute) {
+      await transitionSwap(current, 'complete', { note: 'Completed automatically: all shipments delivered', session });
+      await notifyUsers([current.requester, ownerId], {
+        type: 'swap_completed',
+        title: 'Swap completed',
+        message: `Everything for the swap of "${title}" has been delivered, so the swap is complete.`,
+        swap: current._id
+      }, session);
+      result.completed = true;
+      return;
+    }
+
+    await current.save({ session });
+  });
+
+  return result;
+};
+
+/**
+ * Check every shipping swap with packages in transit with a tracked carrier
+ * @param {Date} [now] - Current time
+ * @returns {Object} Summary of the run
+ */
+const runShipmentTracking = async (now = new Date()) => {
+  const carriers = listCarriers().map(carrier => carrier.name);
+  const summary = { swaps: 0, checked: 0, delivered: 0, completed: 0, failed: 0 };
+  if (carriers.length === 0) {
+    return summary;
+  }
+
+  const inTransit = (direction) => ({
+    [`shipping.${direction}.status`]: { $in: TRACKABLE_STATUSES },
+    [`shipping.${direction}.carrier`]: { $in: carriers }
+  });
+
+  const swaps = await Swap.find({
+    status: 'accepted',
+    fulfillment: 'shipping',
+    $or: [inTransit('toRequester'), inTransit('toOwner')]
+  })
+    .select('_id')
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const swap of swaps) {
+    try {
+      const result = await refreshSwapShipments(swap._id, now);
+      summary.swaps++;
+      summary.checked += result.checked;
+      summary.delivered += result.delivered;
+      if (result.completed) summary.completed++;
+    } catch (error) {
+      console.error(`Failed to track shipments for swap ${swap._id}:`, error.message);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  SHIPMENT_TRACKING_INTERVAL_MS,
+  getIncomingDirection,
+  getOutgoingDirection,
+  refreshSwapShipments,
+  runShipmentTracking
+};
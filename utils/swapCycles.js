@@ -0,0 +1,269 @@
+const Item = require('../models/Item');
+const User = require('../models/User');
+const Swap = require('../models/Swap');
+const { lockItems, closeCompetingSwaps } = require('./swapStateMachine');
+const { ApiError } = require('./errors');
+const { getAcceptedDeadline } = require('./swapDeadlines');
+
+// Cycles of two are ordinary direct swaps
+const MIN_CYCLE_SIZE = 3;
+const MAX_CYCLE_SIZE = 5;
+
+// How strongly each signal says a user wants an item
+const SIGNAL_WEIGHTS = {
+  swap_request: 3,
+  saved_want: 2,
+  like: 1
+};
+
+// Only a user's strongest wants are followed when searching
+const MAX_WANTS_PER_USER = 10;
+
+// Bounds the number of users whose wants are loaded per search
+const MAX_EXPANDED_USERS = 200;
+
+const MAX_SUGGESTIONS = 10;
+
+const AVAILABLE_ITEM_FILTER = { status: 'listed' };
+
+/**
+ * Load the available items a user wants from likes, saved wants and pending
+ * swap requests, strongest signal first
+ * @param {string} userId - User ID
+ * @param {number} [limit] - Maximum number of wants to return (all if null)
+ * @returns {Array} Wants as { item, owner, signal, weight }
+ */
+const loadUserWants = async (userId, limit = MAX_WANTS_PER_USER) => {
+  const [user, pendingSwaps] = await Promise.all([
+    User.findById(userId).select('savedWants'),
+    Swap.find({ requester: userId, status: 'pending' }).select('requestedItem')
+  ]);
+
+  const signals = new Map();
+  const addSignal = (itemId, signal) => {
+    const key = itemId.toString();
+    const current = signals.get(key);
+    if (!current || SIGNAL_WEIGHTS[signal] > SIGNAL_WEIGHTS[current]) {
+      signals.set(key, signal);
+    }
+  };
+
+  pendingSwaps.forEach(swap => addSignal(swap.requestedItem, 'swap_request'));
+  (user ? user.savedWants : []).forEach(itemId => addSignal(itemId, 'saved_want'));
+
+  const items = await Item.find({
+    ...AVAILABLE_ITEM_FILTER,
+    owner: { $ne: userId },
+    $or: [
+      { _id: { $in: [...signals.keys()] } },
+      { likedBy: userId }
+    ]
+  }).select('owner title pointsValue');
+
+  const wants = items
+    .map(item => {
+      const signal = signals.get(item._id.toString()) || 'like';
+      return { item, owner: item.owner, signal, weight: SIGNAL_WEIGHTS[signal] };
+    })
+    .sort((a, b) => b.weight - a.weight);
+
+  return limit ? wants.slice(0, limit) : wants;
+};
+
+/**
+ * Find 3- to 5-person trade cycles that include a user. Each participant
+ * receives an item they want from the next participant and gives one of
+ * their own items to the previous one.
+ * @param {string} userId - User to find cycles for
+ * @returns {Array} Suggested cycles, best first
+ */
+const findSwapCycles = async (userId) => {
+  const start = userId.toString();
+  const wantsCache = new Map();
+
+  const getWants = async (id) => {
+    if (!wantsCache.has(id)) {
+      if (wantsCache.size >= MAX_EXPANDED_USERS) {
+        return [];
+      }
+      wantsCache.set(id, await loadUserWants(id));
+    }
+    return wantsCache.get(id);
+  };
+
+  const cycles = [];
+
+  // Depth-first search along "wants an item owned by" edges back to the start
+  const search = async (path, legs) => {
+    const current = path[path.length - 1];
+
+    for (const want of await getWants(current)) {
+      const next = want.owner.toString();
+
+      if (next === start) {
+        if (path.length >= MIN_CYCLE_SIZE) {
+          cycles.push([...legs, want]);
+        }
+        continue;
+      }
+
+      if (path.length < MAX_CYCLE_SIZE && !path.includes(next)) {
+        await search([...path, next], [...legs, want]);
+      }
+    }
+  };
+
+  await search([start], []);
+
+  const suggestions = cycles.map(legs => {
+    // Leg i: participant i receives legs[i].item from participant i + 1
+    const participants = legs.map((leg, index) => {
+      const given = legs[(index + legs.length - 1) % legs.length].item;
+      return {
+        user: index === 0 ? userId : legs[index - 1].owner,
+        gives: given,
+        receives: leg.item,
+        signal: leg.signal,
+        valueDifference: leg.item.pointsValue - given.pointsValue
+      };
+    });
+
+    return {
+      size: participants.length,
+      score: Math.round(legs.reduce((sum, leg) => sum + leg.weight, 0) / legs.length * 100) / 100,
+      items: legs.map(leg => leg.item._id),
+      participants
+    };
+  });
+
+  const userIds = [...new Set(suggestions.flatMap(s => s.participants.map(p => p.user.toString())))];
+  const users = await User.find({ _id: { $in: userIds } }).select('username firstName lastName avatar');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  suggestions.forEach(suggestion => suggestion.participants.forEach(participant => {
+    participant.user = usersById.get(participant.user.toString()) || participant.user;
+  }));
+
+  // Strongest signals first, then shorter cycles, then the most balanced values
+  suggestions.sort((a, b) =>
+    b.score - a.score ||
+    a.size - b.size ||
+    Math.max(...a.participants.map(p => Math.abs(p.valueDifference))) -
+      Math.max(...b.participants.map(p => Math.abs(p.valueDifference)))
+  );
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Check a proposed cycle and work out its participants. Items are given in
+ * cycle order: the owner of each item wants the next item in the list.
+ * @param {Array} itemIds - Item IDs in cycle order
+ * @returns {Object} { participants } on success or { error } describing the problem
+ */
+const buildCycleParticipants = async (itemIds) => {
+  if (itemIds.length < MIN_CYCLE_SIZE || itemIds.length > MAX_CYCLE_SIZE) {
+    return { error: `A circular swap needs ${MIN_CYCLE_SIZE} to ${MAX_CYCLE_SIZE} items` };
+  }
+
+  if (new Set(itemIds.map(id => id.toString())).size !== itemIds.length) {
+    return { error: 'Each item can only appear once in a circular swap' };
+  }
+
+  const items = await Item.find({ _id: { $in: itemIds }, ...AVAILABLE_ITEM_FILTER }).select('owner');
+  if (items.length !== itemIds.length) {
+    return { error: 'One or more items are not available for swap' };
+  }
+
+  const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+  const ordered = itemIds.map(id => itemsById.get(id.toString()));
+
+  const owners = ordered.map(item => item.owner.toString());
+  if (new Set(owners).size !== owners.length) {
+    return { error: 'Each participant must give exactly one item' };
+  }
+
+  // The owner of item i receives item i + 1
+  const participants = ordered.map((item, index) => ({
+    user: item.owner,
+    givesItem: item._id,
+    receivesItem: ordered[(index + 1) % ordered.length]._id
+  }));
+
+  // Everyone must still want what they would receive
+  for (const participant of participants) {
+    const wants = await loadUserWants(participant.user, null);
+    if (!wants.some(want => want.item._id.equals(participant.receivesItem))) {
+      return { error: 'One or more participants no longer want the item they would receive' };
+    }
+  }
+
+  return { participants };
+};
+
+/**
+ * Turn a fully accepted cycle into linked accepted swaps, one per
+ * participant, and take its items off the market
+ * @param {Object} cycle - SwapCycle document read in the session
+ * @param {Object} session - Mongoose session
+ * @returns {Object} Saved cycle
+ */
+const commitSwapCycle = async (cycle, session) => {
+  // Items changing hands or owners after the proposal invalidate the cycle
+  const items = await Item.find({
+    _id: { $in: cycle.participants.map(p => p.givesItem) }
+  }).select('owner').session(session);
+  const ownersByItem = new Map(items.map(item => [item._id.toString(), item.owner.toString()]));
+
+  for (const participant of cycle.participants) {
+    if (ownersByItem.get(participant.givesItem.toString()) !== participant.user.toString()) {
+      throw new ApiError(409, 'One or more items in this circular swap have changed hands');
+    }
+  }
+
+  // Each swap records what its requester receives and what they give up
+  const swaps = cycle.participants.map(participant => new Swap({
+    requester: participant.user,
+    requestedItem: participant.receivesItem,
+    offeredItems: [participant.givesItem],
+    swapType: 'direct',
+    status: 'accepted',
+    cycle: cycle._id,
+    message: 'Part of a circular swap',
+    statusHistory: [{ to: 'accepted', note: 'Circular swap accepted by all participants' }],
+    acceptedAt: new Date()
+  }));
+
+  swaps.forEach(swap => {
+    swap.expiresAt = getAcceptedDeadline(swap, swap.acceptedAt);
+  });
+
+  // Each item is locked to the swap of the participant receiving it
+  for (const swap of swaps) {
+    await lockItems([swap.requestedItem], swap._id, session);
+    await swap.save({ session });
+  }
+
+  await closeCompetingSwaps(
+    cycle.participants.map(p => p.givesItem),
+    swaps.map(swap => swap._id),
+    session
+  );
+
+  // Each participant is in two of the swaps but makes a single trade
+  await User.updateMany(
+    { _id: { $in: cycle.participants.map(p => p.user) } },
+    { $inc: { swapsCount: 1 } },
+    { session }
+  );
+
+  cycle.status = 'committed';
+  cycle.committedAt = new Date();
+  cycle.swaps = swaps.map(swap => swap._id);
+  return cycle.save({ session });
+};
+
+module.exports = {
+  findSwapCycles,
+  buildCycleParticipants,
+  commitSwapCycle
+};
@@ -0,0 +1,61 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readDays = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// How long swaps may sit in each stage, in days
+const SWAP_DEADLINES = {
+  // Pending offers expire this long after the latest proposal
+  pendingDays: readDays('SWAP_PENDING_EXPIRY_DAYS', 14),
+  // Accepted swaps without a meeting date should be completed within this
+  acceptedDays: readDays('SWAP_ACCEPTED_EXPIRY_DAYS', 30),
+  // Extra time after the meeting date before a swap counts as overdue
+  meetingGraceDays: readDays('SWAP_MEETING_GRACE_DAYS', 3),
+  // Overdue swaps are cancelled automatically this long after escalation
+  escalationDays: readDays('SWAP_ESCALATION_DAYS', 7),
+  // Both parties are reminded this long before a deadline
+  reminderDays: readDays('SWAP_REMINDER_DAYS', 2),
+  // Time the other party has to object after one side confirms the handoff
+  objectionDays: readDays('SWAP_HANDOFF_OBJECTION_DAYS', 3),
+  // Shipments not delivered this long after shipping count as delivered
+  deliveryDays: readDays('SWAP_DELIVERY_DAYS', 14)
+};
+
+/**
+ * Add a number of days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Deadline for a pending offer made or countered at a given time
+ * @param {Date} [from] - When the latest proposal was made
+ * @returns {Date} Expiry date
+ */
+const getPendingDeadline = (from = new Date()) => addDays(from, SWAP_DEADLINES.pendingDays);
+
+/**
+ * Deadline for completing an accepted swap: the meeting date plus a grace
+ * period, or a fixed period after acceptance when no meeting is set
+ * @param {Object} swap - Swap document
+ * @param {Date} [acceptedAt] - When the swap was accepted
+ * @returns {Date} Date after which the swap is overdue
+ */
+const getAcceptedDeadline = (swap, acceptedAt = new Date()) => {
+  if (swap.meetingDate) {
+    return addDays(swap.meetingDate, SWAP_DEADLINES.meetingGraceDays);
+  }
+  return addDays(acceptedAt, SWAP_DEADLINES.acceptedDays);
+};
+
+module.exports = {
+  DAY_MS,
+  SWAP_DEADLINES,
+  addDays,
+  getPendingDeadline,
+  getAcceptedDeadline
+};
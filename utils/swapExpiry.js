@@ -0,0 +1,449 @@
+const Swap = require('../models/Swap');
+const SwapCycle = require('../models/SwapCycle');
+const { transitionSwap } = require('./swapStateMachine');
+const { openDispute } = require('./disputes');
+const { runInTransaction } = require('./transaction');
+const { notifyUsers } = require('./notifications');
+const { DAY_MS, SWAP_DEADLINES, addDays } = require('./swapDeadlines');
+
+// How often the expiry job runs
+const SWAP_EXPIRY_INTERVAL_MS = (parseInt(process.env.SWAP_EXPIRY_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+// Swaps handled per step and run, so one run can't hold the process for long
+const BATCH_SIZE = 100;
+
+// Swaps a step failed on are skipped for this long, so they can't fill
+// every batch and hold up the swaps behind them
+const RETRY_FAILED_AFTER_MS = 6 * 60 * 60 * 1000;
+
+// Accepted swaps still waiting on the handoff. Once either side of a meetup
+// confirms it, completion is settled by the objection window instead of the
+// accepted-swap deadline. Shipping swaps keep the deadline until everything
+// has shipped, and are then settled by the delivery window. Disputed swaps
+// wait for an admin. Circular swaps are left out, since one of their swaps
+// can't be cancelled on its own.
+const AWAITING_HANDOFF = {
+  activeDispute: null,
+  cycle: null,
+  $or: [
+    { fulfillment: { $ne: 'shipping' }, 'handoff.requesterConfirmedAt': null, 'handoff.ownerConfirmedAt': null },
+    { fulfillment: 'shipping', 'shipping.toRequester.status': 'pending' },
+    { fulfillment: 'shipping', 'shipping.toOwner.status': 'pending', 'offeredItems.0': { $exists: true } }
+  ]
+};
+
+// Shipment statuses that still wait for delivery
+const IN_TRANSIT = ['shipped', 'in_transit'];
+
+/**
+ * Load swaps with their requested item's owner and title, leaving out swaps
+ * a step failed on recently
+ * @param {Object} filter - Swap filter
+ * @param {Date} now - Current time
+ * @param {Object} [sort] - Sort order, soonest deadline first by default
+ * @returns {Array} Swap documents
+ */
+const findSwaps = (filter, now, sort = { expiresAt: 1 }) => {
+  return Swap.find({
+    ...filter,
+    expiryFailedAt: { $not: { $gt: new Date(now.getTime() - RETRY_FAILED_AFTER_MS) } }
+  })
+    .sort(sort)
+    .limit(BATCH_SIZE)
+    .populate('requestedItem', 'owner title');
+};
+
+/**
+ * Record that a step failed on a swap, so it is retried later
+ * @param {Object} swap - Swap document
+ * @param {Date} now - Current time
+ */
+const recordFailure = (swap, now) => Swap.updateOne({ _id: swap._id }, { expiryFailedAt: now });
+
+/**
+ * Both parties of a swap whose requested item is populated. Only the
+ * requester is left when the item was deleted.
+ * @param {Object} swap - Swap document
+ * @returns {Array} User IDs
+ */
+const getParties = (swap) => swap.requestedItem ? [swap.requester, swap.requestedItem.owner] : [swap.requester];
+
+/**
+ * Quoted title of a swap's requested item, for notifications
+ * @param {Object} swap - Swap document with its requested item populated
+ * @returns {string} Title, or a generic name when the item was deleted
+ */
+const getTitle = (swap) => swap.requestedItem ? `"${swap.requestedItem.title}"` : 'a deleted item';
+
+/**
+ * Give swaps created before deadlines existed a deadline based on their age
+ */
+const backfillDeadlines = async () => {
+  const pending = await Swap.updateMany(
+    { status: 'pending', expiresAt: null },
+    [{ $set: { expiresAt: { $add: ['$updatedAt', SWAP_DEADLINES.pendingDays * DAY_MS] } } }]
+  );
+
+  const accepted = await Swap.updateMany(
+    { status: 'accepted', expiresAt: null },
+    [{
+      $set: {
+        expiresAt: {
+          $cond: [
+            { $ifNull: ['$meetingDate', false] },
+            { $add: ['$meetingDate', SWAP_DEADLINES.meetingGraceDays * DAY_MS] },
+            { $add: ['$updatedAt', SWAP_DEADLINES.acceptedDays * DAY_MS] }
+          ]
+        }
+      }
+    }]
+  );
+
+  return pending.modifiedCount + accepted.modifiedCount;
+};
+
+/**
+ * Remind both parties of swaps whose deadline is coming up
+ * @param {Date} now - Current time
+ * @returns {number} Swaps reminded about
+ */
+const sendReminders = async (now) => {
+  const swaps = await findSwaps({
+    $or: [{ status: 'pending' }, { status: 'accepted', ...AWAITING_HANDOFF }],
+    reminderSentAt: null,
+    expiresAt: { $gt: now, $lte: addDays(now, SWAP_DEADLINES.reminderDays) }
+  }, now);
+
+  let reminded = 0;
+  for (const swap of swaps) {
+    try {
+      // Claim the reminder first so parallel runs don't send it twice
+      const claimed = await Swap.updateOne(
+        { _id: swap._id, reminderSentAt: null },
+        { reminderSentAt: now }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const title = getTitle(swap);
+      const deadline = swap.expiresAt.toDateString();
+
+      let message;
+      if (swap.status === 'pending') {
+        message = `The swap request for ${title} expires on ${deadline} unless it is accepted.`;
+      } else if (swap.escalatedAt) {
+        message = `The overdue swap for ${title} will be cancelled on ${deadline} unless it is completed.`;
+      } else {
+        message = `Please complete the swap for ${title} by ${deadline}.`;
+      }
+
+      await notifyUsers(getParties(swap), {
+        type: 'swap_expiring',
+        title: 'Swap deadline approaching',
+        message,
+        swap: swap._id
+      });
+      reminded++;
+    } catch (error) {
+      console.error(`Failed to send reminder for swap ${swap._id}:`, error.message);
+    }
+  }
+
+  return reminded;
+};
+
+/**
+ * Expire pending swaps past their deadline, releasing held points
+ * @param {Date} now - Current time
+ * @returns {Object} Counts of expired and failed swaps
+ */
+const expirePendingSwaps = async (now) => {
+  const swaps = await findSwaps({ status: 'pending', expiresAt: { $lte: now } }, now);
+
+  const result = { expired: 0, failed: 0 };
+  for (const swap of swaps) {
+    try {
+      const expired = await runInTransaction(async (session) => {
+        const current = await Swap.findOne({ _id: swap._id, status: 'pending', expiresAt: { $lte: now } }).session(session);
+        if (!current) return false;
+
+        await transitionSwap(current, 'expire', { note: 'No response before the deadline', session });
+        await notifyUsers(getParties(swap), {
+          type: 'swap_expired',
+          title: 'Swap request expired',
+          message: `The swap request for ${getTitle(swap)} expired without a response.`,
+          swap: swap._id
+        }, session);
+        return true;
+      });
+      if (expired) result.expired++;
+    } catch (error) {
+      console.error(`Failed to expire swap ${swap._id}:`, error);
+      await recordFailure(swap, now);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Flag accepted swaps past their deadline as overdue and give the parties a
+ * final period to complete them
+ * @param {Date} now - Current time
+ * @returns {number} Swaps escalated
+ */
+const escalateOverdueSwaps = async (now) => {
+  const swaps = await findSwaps({ status: 'accepted', escalatedAt: null, expiresAt: { $lte: now }, ...AWAITING_HANDOFF }, now);
+
+  let escalated = 0;
+  for (const swap of swaps) {
+    const cancelAt = addDays(now, SWAP_DEADLINES.escalationDays);
+    const updated = await Swap.updateOne(
+      { _id: swap._id, status: 'accepted', escalatedAt: null },
+      {
+        escalatedAt: now,
+        expiresAt: cancelAt,
+        reminderSentAt: null,
+        $push: { statusHistory: { from: 'accepted', to: 'accepted', timestamp: now, note: 'Escalated: not completed by the deadline' } }
+      }
+    );
+    if (updated.modifiedCount === 0) continue;
+
+    await notifyUsers(getParties(swap), {
+      type: 'swap_overdue',
+      title: 'Swap overdue',
+      message: `The swap for ${getTitle(swap)} was not completed in time. It will be cancelled on ${cancelAt.toDateString()} unless it is completed.`,
+      swap: swap._id
+    });
+    escalated++;
+  }
+
+  return escalated;
+};
+
+/**
+ * Cancel escalated swaps that still weren't completed, making the items
+ * available again and refunding points. Shipping swaps where one side
+ * already shipped can't be cancelled, so a dispute is opened against the
+ * side that didn't ship instead.
+ * @param {Date} now - Current time
+ * @returns {Object} Counts of cancelled, disputed and failed swaps
+ */
+const cancelAbandonedSwaps = async (now) => {
+  const swaps = await findSwaps({ status: 'accepted', escalatedAt: { $ne: null }, expiresAt: { $lte: now }, ...AWAITING_HANDOFF }, now);
+
+  const result = { cancelled: 0, disputed: 0, failed: 0 };
+  for (const swap of swaps) {
+    try {
+      const outcome = await runInTransaction(async (session) => {
+        const current = await Swap.findOne({ _id: swap._id, status: 'accepted', activeDispute: null }).session(session);
+        if (!current) return null;
+
+        const directions = current.fulfillment === 'shipping' ? current.getShipmentDirections() : [];
+        const unshipped = directions.find(direction => current.shipping[direction].status === 'pending');
+        if (unshipped && directions.some(direction => current.shipping[direction].shippedAt)) {
+          if (!swap.requestedItem) {
+            throw new Error('The requested item no longer exists');
+          }
+
+          // The owner ships to the requester, and the requester to the owner
+          const [openedBy, against] = unshipped === 'toRequester'
+            ? [current.requester, swap.requestedItem.owner]
+            : [swap.requestedItem.owner, current.requester];
+
+          const dispute = await openDispute(current, {
+            openedBy,
+            against,
+            reason: 'item_not_received',
+            description: 'Opened automatically: one side shipped, but the other did not ship before the deadline',
+            notify: false
+          }, session);
+          await notifyUsers(getParties(swap), {
+            type: 'dispute_opened',
+            title: 'Dispute opened',
+            message: `Not everything for the swap of ${getTitle(swap)} was shipped in time, so a dispute was opened. An admin will review the swap.`,
+            swap: swap._id,
+            dispute: dispute._id
+          }, session);
+          return 'disputed';
+        }
+
+        await transitionSwap(current, 'cancel', { note: 'Cancelled automatically: not completed after escalation', session });
+        await notifyUsers(getParties(swap), {
+          type: 'swap_auto_cancelled',
+          title: 'Swap cancelled',
+          message: `The swap for ${getTitle(swap)} was cancelled because it was not completed. The items are available again.`,
+          swap: swap._id
+        }, session);
+        return 'cancelled';
+      });
+      if (outcome) result[outcome]++;
+    } catch (error) {
+      // e.g. refunds the owner can no longer cover
+      console.error(`Failed to cancel overdue swap ${swap._id}:`, error.message);
+      await recordFailure(swap, now);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Complete swaps where one party confirmed the handoff and the other didn't
+ * object before the window closed
+ * @param {Date} now - Current time
+ * @returns {Object} Counts of completed and failed swaps
+ */
+const completeUncontestedHandoffs = async (now) => {
+  const swaps = await findSwaps({
+    status: 'accepted',
+    'handoff.autoCompleteAt': { $lte: now },
+    'handoff.objection.createdAt': null,
+    activeDispute: null
+  }, now, { 'handoff.autoCompleteAt': 1 });
+
+  const result = { completed: 0, failed: 0 };
+  for (const swap of swaps) {
+    try {
+      const completed = await runInTransaction(async (session) => {
+        const current = await Swap.findOne({ _id: swap._id, status: 'accepted' }).session(session);
+        if (!current || !current.isHandoffComplete(now)) return false;
+
+        await transitionSwap(current, 'complete', { note: 'Completed automatically: no objection to the handoff', session });
+        await notifyUsers(getParties(swap), {
+          type: 'swap_completed',
+          title: 'Swap completed',
+          message: `The swap for ${getTitle(swap)} was completed after the handoff was confirmed.`,
+          swap: swap._id
+        }, session);
+        return true;
+      });
+      if (completed) result.completed++;
+    } catch (error) {
+      console.error(`Failed to complete swap ${swap._id}:`, error.message);
+      await recordFailure(swap, now);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Count shipments that still weren't delivered SWAP_DELIVERY_DAYS after
+ * shipping as delivered, completing the swap once everything is. A recipient
+ * whose package never arrived opens a dispute before then, which stops this.
+ * @param {Date} now - Current time
+ * @returns {Object} Counts of delivered, completed and failed swaps
+ */
+const confirmOverdueDeliveries = async (now) => {
+  const shippedBefore = addDays(now, -SWAP_DEADLINES.deliveryDays);
+  const overdue = (direction) => ({
+    [`shipping.${direction}.status`]: { $in: IN_TRANSIT },
+    [`shipping.${direction}.shippedAt`]: { $lte: shippedBefore }
+  });
+  const swaps = await findSwaps({
+    status: 'accepted',
+    fulfillment: 'shipping',
+    activeDispute: null,
+    $or: [overdue('toRequester'), overdue('toOwner')]
+  }, now);
+
+  const result = { delivered: 0, completed: 0, failed: 0 };
+  for (const swap of swaps) {
+    try {
+      const outcome = await runInTransaction(async (session) => {
+        const current = await Swap.findOne({ _id: swap._id, status: 'accepted', activeDispute: null }).session(session);
+        if (!current) return null;
+
+        const directions = current.getShipmentDirections().filter(direction => {
+          const shipment = current.shipping[direction];
+          return IN_TRANSIT.includes(shipment.status) && shipment.shippedAt <= shippedBefore;
+        });
+        if (directions.length === 0) return null;
+
+        for (const direction of directions) {
+          current.markShipmentDelivered(direction, 'deadline', now);
+        }
+
+        if (current.isHandoffComplete(now)) {
+          await transitionSwap(current, 'complete', { note: 'Completed automatically: delivery window passed', session });
+          await notifyUsers(getParties(swap), {
+            type: 'swap_completed',
+            title: 'Swap completed',
+            message: `The delivery window for the swap of ${getTitle(swap)} passed without a dispute, so the swap is complete.`,
+            swap: swap._id
+          }, session);
+          return 'completed';
+        }
+
+        current.statusHistory.push({ from: 'accepted', to: 'accepted', timestamp: now, note: 'Shipment counted as delivered: delivery window passed' });
+        await current.save({ session });
+        await notifyUsers(getParties(swap), {
+          type: 'swap_delivered',
+          title: 'Package counted as delivered',
+          message: `The delivery window for a package in the swap of ${getTitle(swap)} passed without a dispute, so it counts as delivered.`,
+          swap: swap._id
+        }, session);
+        return 'delivered';
+      });
+      if (outcome) result[outcome]++;
+    } catch (error) {
+      console.error(`Failed to confirm delivery for swap ${swap._id}:`, error.message);
+      await recordFailure(swap, now);
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Expire circular swap proposals that not everyone accepted in time
+ * @param {Date} now - Current time
+ * @returns {number} Cycles expired
+ */
+const expireStaleCycles = async (now) => {
+  const result = await SwapCycle.updateMany(
+    { status: 'proposed', createdAt: { $lte: addDays(now, -SWAP_DEADLINES.pendingDays) } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Run every expiry step once: deadlines for old swaps, reminders, expiry
+ * of pending swaps, escalation and cancellation of overdue accepted swaps,
+ * completion of uncontested handoffs and of overdue deliveries
+ * @param {Date} [now] - Current time
+ * @returns {Object} Summary of the run
+ */
+const runSwapExpiry = async (now = new Date()) => {
+  const backfilled = await backfillDeadlines();
+  const reminded = await sendReminders(now);
+  const pending = await expirePendingSwaps(now);
+  const escalated = await escalateOverdueSwaps(now);
+  const abandoned = await cancelAbandonedSwaps(now);
+  const handoffs = await completeUncontestedHandoffs(now);
+  const deliveries = await confirmOverdueDeliveries(now);
+  const cyclesExpired = await expireStaleCycles(now);
+
+  return {
+    backfilled,
+    reminded,
+    expired: pending.expired,
+    escalated,
+    cancelled: abandoned.cancelled,
+    disputed: abandoned.disputed,
+    completed: handoffs.completed + deliveries.completed,
+    delivered: deliveries.delivered,
+    cyclesExpired,
+    failed: pending.failed + abandoned.failed + handoffs.failed + deliveries.failed
+  };
+};
+
+module.exports = {
+  SWAP_EXPIRY_INTERVAL_MS,
+  runSwapExpiry
+};
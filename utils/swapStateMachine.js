@@ -0,0 +1,516 @@
+const Item = require('../models/Item');
+const PointsTransaction = require('../models/PointsTransaction');
+const Swap = require('../models/Swap');
+const User = require('../models/User');
+const {
+  adjustPoints,
+  holdPoints,
+  releaseHeldPoints,
+  settleHeldPoints
+} = require('./pointsLedger');
+const { grantReward } = require('./rewards');
+const { ApiError } = require('./errors');
+const { getAcceptedDeadline } = require('./swapDeadlines');
+const { notifyUsers } = require('./notifications');
+
+// Allowed swap transitions. Actors are matched against the roles of the
+// user triggering the transition:
+// - requester / owner: either side of the swap
+// - respondent: the party awaiting a response to the latest proposal
+// - system: scheduled jobs and admins acting without a user
+const SWAP_TRANSITIONS = {
+  accept: {
+    from: ['pending'],
+    to: 'accepted',
+    actors: ['respondent'],
+    invalidStateMessage: 'Swap is no longer pending',
+    forbiddenMessage: 'Only the other party can respond to the latest proposal'
+  },
+  reject: {
+    from: ['pending'],
+    to: 'rejected',
+    actors: ['respondent', 'system'],
+    invalidStateMessage: 'Swap is no longer pending',
+    forbiddenMessage: 'Only the other party can respond to the latest proposal'
+  },
+  complete: {
+    from: ['accepted'],
+    to: 'completed',
+    actors: ['requester', 'owner', 'system'],
+    invalidStateMessage: 'Swap must be accepted before completion',
+    forbiddenMessage: 'Access denied'
+  },
+  cancel: {
+    from: ['pending', 'accepted'],
+    to: 'cancelled',
+    actors: ['requester', 'owner', 'system'],
+    invalidStateMessage: 'Swap cannot be cancelled in its current state',
+    forbiddenMessage: 'Access denied'
+  },
+  reverse: {
+    from: ['accepted', 'completed'],
+    to: 'reversed',
+    actors: ['system'],
+    invalidStateMessage: 'Only accepted or completed swaps can be reversed',
+    forbiddenMessage: 'Only admins can reverse swaps'
+  },
+  expire: {
+    from: ['pending'],
+    to: 'expired',
+    actors: ['system'],
+    invalidStateMessage: 'Swap is no longer pending',
+    forbiddenMessage: 'Only the scheduler can expire swaps'
+  }
+};
+
+/**
+ * Get the roles a user plays in a swap
+ * @param {Object} swap - Swap document
+ * @param {string} ownerId - Owner of the requested item
+ * @param {string} actorId - User triggering a transition (null for system)
+ * @returns {Array} Role names
+ */
+const getActorRoles = (swap, ownerId, actorId) => {
+  if (!actorId) {
+    return ['system'];
+  }
+
+  const roles = [];
+  const actor = actorId.toString();
+  if (swap.requester.toString() === actor) roles.push('requester');
+  if (ownerId.toString() === actor) roles.push('owner');
+
+  // Requests made before negotiation existed always await the owner
+  const respondentId = swap.awaitingResponseFrom || ownerId;
+  if (swap.status === 'pending' && respondentId.toString() === actor) {
+    roles.push('respondent');
+  }
+  return roles;
+};
+
+/**
+ * Lock items to an accepted swap, taking them off the market. Fails if any
+ * of them was taken in the meantime.
+ * @param {Array} itemIds - Item IDs
+ * @param {string} swapId - Swap the items are committed to
+ * @param {Object} session - Mongoose session
+ */
+const lockItems = async (itemIds, swapId, session) => {
+  const result = await Item.updateMany(
+    { _id: { $in: itemIds }, status: 'listed' },
+    { status: 'reserved', lockedBySwap: swapId },
+    { session }
+  );
+
+  if (result.modifiedCount !== itemIds.length) {
+    throw new ApiError(400, 'One or more items are no longer available');
+  }
+};
+
+/**
+ * Release items from an undone swap and put them back on the market
+ * @param {Array} itemIds - Item IDs
+ * @param {Object} session - Mongoose session
+ */
+const unlockItems = async (itemIds, session) => {
+  await Item.updateMany(
+    { _id: { $in: itemIds }, status: { $in: ['reserved', 'swapped'] } },
+    { status: 'listed', lockedBySwap: null },
+    { session }
+  );
+};
+
+/**
+ * Mark the items of a completed swap as having changed hands. They stay
+ * linked to the swap through lockedBySwap.
+ * @param {string} swapId - Completed swap
+ * @param {Object} session - Mongoose session
+ */
+const markItemsSwapped = async (swapId, session) => {
+  await Item.updateMany(
+    { lockedBySwap: swapId, status: 'reserved' },
+    { status: 'swapped' },
+    { session }
+  );
+};
+
+/**
+ * Close pending swaps that request or offer items that were just committed
+ * elsewhere or taken off the market. Requests for such an item are rejected
+ * and offers of one are cancelled, as the system, and the parties are told why.
+ * @param {Array} itemIds - Item IDs no longer on offer
+ * @param {Array} committedSwapIds - Swaps the items were committed to, left open
+ * @param {Object} session - Mongoose session
+ * @param {string} [cause] - What happened to the items, for notes and notifications
+ * @returns {number} Swaps closed
+ */
+const closeCompetingSwaps = async (itemIds, committedSwapIds, session, cause = 'was committed to another swap') => {
+  const swaps = await Swap.find({
+    _id: { $nin: committedSwapIds },
+    status: 'pending',
+    $or: [
+      { requestedItem: { $in: itemIds } },
+      { requestedItems: { $in: itemIds } },
+      { offeredItems: { $in: itemIds } }
+    ]
+  }).session(session);
+  if (swaps.length === 0) return 0;
+
+  const requestedItems = await Item.find({ _id: { $in: swaps.flatMap(swap => swap.getRequestedItemIds()) } })
+    .select('owner title')
+    .session(session);
+  const itemsById = new Map(requestedItems.map(item => [item._id.toString(), item]));
+  const committed = new Set(itemIds.map(id => id.toString()));
+
+  for (const swap of swaps) {
+    // The requested item may have been deleted since the offer was made
+    const item = itemsById.get(swap.requestedItem.toString());
+    const title = item ? `"${item.title}"` : 'an item';
+    // A bundle is declined as a whole when any of its items is taken
+    const takenId = swap.getRequestedItemIds().find(id => committed.has(id.toString()));
+
+    if (takenId) {
+      const taken = itemsById.get(takenId.toString());
+      await transitionSwap(swap, 'reject', {
+        note: `Automatically rejected: the item ${cause}`,
+        session
+      });
+      await notifyUsers([swap.requester], {
+        type: 'swap_auto_rejected',
+        title: 'Swap request declined',
+        message: `${taken ? `"${taken.title}"` : 'The requested item'} ${cause}, so your request was declined. Any held points were released.`,
+        swap: swap._id
+      }, session);
+    } else {
+      await transitionSwap(swap, 'cancel', {
+        note: `Automatically cancelled: an offered item ${cause}`,
+        session
+      });
+      await notifyUsers(item ? [swap.requester, item.owner] : [swap.requester], {
+        type: 'swap_auto_cancelled',
+        title: 'Swap request cancelled',
+        message: `The swap request for ${title} was cancelled because an offered item ${cause}.`,
+        swap: swap._id
+      }, session);
+    }
+  }
+
+  return swaps.length;
+};
+
+/**
+ * Return any points still held in escrow for a swap to the requester
+ * @param {Object} swap - Swap document
+ * @param {string} actorId - User who closed the offer
+ * @param {Object} session - Mongoose session
+ */
+const releaseSwapHold = async (swap, actorId, session) => {
+  if (!swap.pointsHeld) return;
+
+  await releaseHeldPoints({
+    userId: swap.requester,
+    amount: swap.pointsHeld,
+    description: 'Swap offer closed',
+    swap: swap._id,
+    item: swap.requestedItem,
+    actor: actorId,
+    session
+  });
+  swap.pointsHeld = 0;
+};
+
+/**
+ * Hold more or release points so the escrow matches the swap's current offer
+ * @param {Object} swap - Swap document
+ * @param {string} actorId - User who changed the offer
+ * @param {Object} session - Mongoose session
+ */
+const syncSwapHold = async (swap, actorId, session) => {
+  const difference = swap.pointsOffered - swap.pointsHeld;
+  if (difference === 0) return;
+
+  const options = {
+    userId: swap.requester,
+    amount: Math.abs(difference),
+    description: 'Swap offer updated',
+    swap: swap._id,
+    item: swap.requestedItem,
+    actor: actorId,
+    session
+  };
+
+  if (difference > 0) {
+    await holdPoints(options);
+  } else {
+    await releaseHeldPoints(options);
+  }
+  swap.pointsHeld = swap.pointsOffered;
+};
+
+/**
+ * Pay the points part of an accepted swap to the owner
+ * @param {Object} context - Transition context
+ */
+const paySwapPoints = async ({ swap, item, actorId, session }) => {
+  if (swap.pointsOffered === 0) {
+    // A counter-offer may have dropped the points part entirely
+    await releaseSwapHold(swap, actorId, session);
+    return;
+  }
+
+  // The escrow may lag behind the accepted terms after an owner's
+  // counter-offer, or be empty for requests made before escrow existed
+  await syncSwapHold(swap, actorId, session);
+
+  const { debit } = await settleHeldPoints({
+    fromUserId: swap.requester,
+    toUserId: item.owner,
+    amount: swap.pointsHeld,
+    debitReason: 'swap_payment',
+    creditReason: 'swap_income',
+    description: `${swap.swapType === 'hybrid' ? 'Hybrid' : 'Points'} swap for "${item.title}"`,
+    swap: swap._id,
+    item: item._id,
+    actor: actorId,
+    session
+  });
+  swap.pointsHeld = 0;
+
+  swap.pointsTransaction = {
+    fromUser: swap.requester,
+    toUser: item.owner,
+    amount: swap.pointsOffered,
+    transactionId: debit._id.toString()
+  };
+};
+
+/**
+ * Return the points paid for an accepted swap to the requester
+ * @param {Object} context - Transition context
+ */
+const refundSwapPoints = async ({ swap, item, actorId, session }) => {
+  const amount = swap.pointsTransaction && swap.pointsTransaction.amount;
+  if (!amount || swap.pointsTransaction.refundTransactionId) return;
+
+  const options = {
+    description: `Refund for cancelled swap of "${item.title}"`,
+    reason: 'swap_refund',
+    swap: swap._id,
+    item: item._id,
+    actor: actorId,
+    session
+  };
+
+  try {
+    await adjustPoints({ ...options, userId: item.owner, amount: -amount });
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 400) {
+      throw new ApiError(400, 'The owner no longer has enough points to refund this swap');
+    }
+    throw error;
+  }
+
+  const { transaction } = await adjustPoints({ ...options, userId: swap.requester, amount });
+  swap.pointsTransaction.refundTransactionId = transaction._id.toString();
+};
+
+// Side effects of each transition, run before the new status is saved
+const SIDE_EFFECTS = {
+  accept: async (context) => {
+    const { swap, item, session, note } = context;
+
+    await paySwapPoints(context);
+
+    // Lock the requested items and any offered items, and close the other
+    // offers that were counting on them
+    const itemIds = [...swap.getRequestedItemIds(), ...swap.offeredItems];
+    await lockItems(itemIds, swap._id, session);
+    await closeCompetingSwaps(itemIds, [swap._id], session);
+
+    await User.updateMany(
+      { _id: { $in: [swap.requester, item.owner] } },
+      { $inc: { swapsCount: 1 } },
+      { session }
+    );
+
+    swap.responseMessage = note;
+    swap.awaitingResponseFrom = undefined;
+    swap.acceptedAt = new Date();
+    swap.expiresAt = getAcceptedDeadline(swap, swap.acceptedAt);
+    swap.reminderSentAt = undefined;
+  },
+
+  reject: async ({ swap, actorId, session, note }) => {
+    await releaseSwapHold(swap, actorId, session);
+    swap.responseMessage = note;
+    swap.awaitingResponseFrom = undefined;
+  },
+
+  complete: async ({ swap, item, actorId, session }) => {
+    if (!swap.isHandoffComplete()) {
+      throw new ApiError(400, 'Both parties must confirm the handoff before the swap completes');
+    }
+
+    swap.handoff.autoCompleteAt = undefined;
+    swap.isCompleted = true;
+    swap.completedAt = new Date();
+
+    await markItemsSwapped(swap._id, session);
+
+    // Reward both parties for the completed swap. In a circular swap each
+    // participant is the requester of exactly one swap, so only they are.
+    // Swaps accepted before the bonus moved to completion were rewarded on
+    // acceptance: those without an acceptance time, which predates it, and
+    // those with a bonus already in the ledger.
+    const rewarded = swap.cycle ? [swap.requester] : [swap.requester, item.owner];
+    for (const userId of swap.acceptedAt ? rewarded : []) {
+      const alreadyRewarded = await PointsTransaction.exists({
+        user: userId,
+        swap: swap._id,
+        reason: 'swap_bonus'
+      }).session(session);
+      if (alreadyRewarded) continue;
+
+      await grantReward('swap_completed', {
+        userId,
+        swap: swap._id,
+        actor: actorId,
+        session
+      });
+    }
+  },
+
+  cancel: async (context) => {
+    const { swap, item, actorId, session, note } = context;
+
+    if (swap.status === 'pending') {
+      await releaseSwapHold(swap, actorId, session);
+      swap.awaitingResponseFrom = undefined;
+    } else if (swap.handoff?.requesterConfirmedAt || swap.handoff?.ownerConfirmedAt) {
+      throw new ApiError(400, 'Swaps cannot be cancelled once a handoff has been confirmed');
+    } else if (swap.shipping?.toRequester?.shippedAt || swap.shipping?.toOwner?.shippedAt) {
+      throw new ApiError(400, 'Swaps cannot be cancelled once items have been shipped');
+    } else if (swap.cycle) {
+      // Undoing one leg would leave the rest of the circle stranded
+      throw new ApiError(400, 'Swaps that are part of a circular swap cannot be cancelled individually');
+    } else {
+      // Undo the accept: items go back on offer and points are returned
+      await unlockItems([...swap.getRequestedItemIds(), ...swap.offeredItems], session);
+
+      await refundSwapPoints(context);
+
+      await User.updateMany(
+        { _id: { $in: [swap.requester, item.owner] } },
+        { $inc: { swapsCount: -1 } },
+        { session }
+      );
+    }
+
+    swap.cancelledBy = actorId;
+    swap.cancellationReason = note;
+  },
+
+  reverse: async (context) => {
+    const { swap, item, actorId, session } = context;
+
+    if (swap.cycle) {
+      throw new ApiError(400, 'Swaps that are part of a circular swap cannot be reversed individually');
+    }
+
+    await unlockItems([...swap.getRequestedItemIds(), ...swap.offeredItems], session);
+
+    await refundSwapPoints(context);
+
+    // Take back the completion rewards. Like dispute penalties, this takes
+    // what the user still has rather than blocking the reversal.
+    const bonuses = await PointsTransaction.find({
+      swap: swap._id,
+      reason: 'swap_bonus',
+      amount: { $gt: 0 }
+    }).session(session);
+    for (const bonus of bonuses) {
+      const user = await User.findById(bonus.user).select('points').session(session);
+      const amount = Math.min(bonus.amount, user ? user.points : 0);
+      if (amount > 0) {
+        await adjustPoints({
+          userId: bonus.user,
+          amount: -amount,
+          reason: 'swap_bonus',
+          description: `Swap bonus taken back: the swap of "${item.title}" was reversed`,
+          swap: swap._id,
+          actor: actorId,
+          session
+        });
+      }
+    }
+
+    await User.updateMany(
+      { _id: { $in: [swap.requester, item.owner] } },
+      { $inc: { swapsCount: -1 } },
+      { session }
+    );
+
+    swap.handoff.autoCompleteAt = undefined;
+  },
+
+  expire: async ({ swap, session }) => {
+    await releaseSwapHold(swap, null, session);
+    swap.awaitingResponseFrom = undefined;
+  }
+};
+
+/**
+ * Move a swap to a new status, checking the transition is allowed from its
+ * current status and by this actor, and applying its side effects. Must be
+ * called inside a transaction with a swap document read in that session.
+ * @param {Object} swap - Swap document
+ * @param {string} action - accept, reject, complete, cancel, reverse or expire
+ * @param {Object} options
+ * @param {string} [options.actorId] - User triggering the transition (omit for system)
+ * @param {boolean} [options.asSystem] - Act as the system, e.g. an admin resolving a dispute
+ * @param {string} [options.note] - Response message or cancellation reason, kept in the history
+ * @param {Object} options.session - Mongoose session
+ * @returns {Object} Saved swap
+ */
+const transitionSwap = async (swap, action, { actorId = null, asSystem = false, note = '', session }) => {
+  const transition = SWAP_TRANSITIONS[action];
+  if (!transition) {
+    throw new ApiError(400, `Unknown swap action "${action}"`);
+  }
+
+  if (!transition.from.includes(swap.status)) {
+    throw new ApiError(400, transition.invalidStateMessage);
+  }
+
+  // Disputed swaps stay as they are until the dispute is resolved
+  if (swap.activeDispute && action !== 'reverse') {
+    throw new ApiError(400, 'This swap has an open dispute');
+  }
+
+  // The system can still close pending offers whose requested item was
+  // deleted; their side effects don't need it
+  const item = await Item.findById(swap.requestedItem).select('owner title').session(session);
+  const closedBySystem = (asSystem || !actorId) && swap.status === 'pending' && action !== 'accept';
+  if (!item && !closedBySystem) {
+    throw new ApiError(404, 'Requested item not found');
+  }
+
+  const roles = asSystem || !actorId ? ['system'] : getActorRoles(swap, item.owner, actorId);
+  if (!transition.actors.some(role => roles.includes(role))) {
+    throw new ApiError(403, transition.forbiddenMessage);
+  }
+
+  await SIDE_EFFECTS[action]({ swap, item, actorId, session, note });
+
+  swap.recordTransition(transition.to, actorId, note);
+  return swap.save({ session });
+};
+
+module.exports = {
+  SWAP_TRANSITIONS,
+  lockItems,
+  closeCompetingSwaps,
+  syncSwapHold,
+  releaseSwapHold,
+  transitionSwap
+};
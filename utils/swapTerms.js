@@ -0,0 +1,178 @@
+const Item = require('../models/Item');
+const { ApiError } = require('./errors');
+
+const SWAP_TYPES = ['direct', 'points', 'hybrid'];
+
+// Most items one swap can request from an owner
+const MAX_BUNDLE_ITEMS = 10;
+
+/**
+ * Add up the points value of the requested items
+ * @param {Array} items - Item documents with pointsValue
+ * @returns {number} Combined points value
+ */
+const getBundleValue = (items) => items.reduce((sum, item) => sum + (item.pointsValue || 0), 0);
+
+/**
+ * Summarize how an offer's value compares with the requested items
+ * @param {number} requestedValue - Points value of the requested items
+ * @param {Array} offeredItems - Offered item documents with pointsValue
+ * @param {number} points - Points offered
+ * @returns {Object} Value breakdown
+ */
+const buildValueBreakdown = (requestedValue, offeredItems, points) => {
+  const itemsValue = offeredItems.reduce((sum, item) => sum + (item.pointsValue || 0), 0);
+  const total = itemsValue + (points || 0);
+
+  return {
+    requestedValue,
+    itemsValue,
+    points: points || 0,
+    total,
+    difference: total - requestedValue
+  };
+};
+
+/**
+ * Load the items of a swap request and check they can be requested together:
+ * all from one owner who isn't the requester, available and not committed
+ * to another swap
+ * @param {Object} options
+ * @param {string} options.requesterId - User making the request
+ * @param {Array} options.itemIds - Requested item IDs, without duplicates
+ * @param {string} [options.ownerId] - Owner the items must belong to, once the swap exists
+ * @param {Object} [options.session] - Mongoose session
+ * @returns {Array} Requested item documents, in the order they were given
+ */
+const validateRequestedItems = async ({ requesterId, itemIds, ownerId, session = null }) => {
+  if (itemIds.length === 0) {
+    throw new ApiError(400, 'At least one requested item is required');
+  }
+  if (itemIds.length > MAX_BUNDLE_ITEMS) {
+    throw new ApiError(400, `A swap can request at most ${MAX_BUNDLE_ITEMS} items`);
+  }
+
+  const items = await Item.find({ _id: { $in: itemIds } }).session(session);
+  if (items.length !== itemIds.length) {
+    throw new ApiError(404, itemIds.length === 1 ? 'Requested item not found' : 'One or more requested items not found');
+  }
+
+  const expectedOwner = (ownerId || items[0].owner).toString();
+  for (const item of items) {
+    if (item.owner.toString() !== expectedOwner) {
+      throw new ApiError(400, 'All requested items must belong to the same owner');
+    }
+
+    // Check if user is trying to swap their own item
+    if (item.owner.toString() === requesterId.toString()) {
+      throw new ApiError(400, 'You cannot swap your own item');
+    }
+
+    if (item.lockedBySwap) {
+      throw new ApiError(400, itemIds.length === 1 ? 'Item is already committed to another swap' : `"${item.title}" is already committed to another swap`);
+    }
+
+    if (item.status !== 'listed') {
+      throw new ApiError(400, itemIds.length === 1 ? 'Item is not available for swap' : `"${item.title}" is not available for swap`);
+    }
+  }
+
+  const byId = new Map(items.map(item => [item._id.toString(), item]));
+  return itemIds.map(id => byId.get(id.toString()));
+};
+
+/**
+ * Validate the items and points of a swap offer against the requested items.
+ * - direct: at least one offered item, no points
+ * - points: points only, matching the requested items' combined value
+ * - hybrid: offered items plus points whose combined value covers the
+ *   requested items, with the points part never exceeding their value
+ * @param {Object} options
+ * @param {string} options.requesterId - User making the offer
+ * @param {Array} options.requestedItems - Requested item documents
+ * @param {string} options.swapType - Swap type
+ * @param {Array} [options.offeredItems] - Offered item IDs
+ * @param {number} [options.pointsOffered] - Points offered
+ * @param {number} [options.availablePoints] - Points the requester can still commit (skips the check if omitted)
+ * @param {Object} [options.session] - Mongoose session
+ * @returns {Object} Offered item documents and the value breakdown
+ */
+const validateSwapTerms = async ({ requesterId, requestedItems, swapType, offeredItems = [], pointsOffered = 0, availablePoints, session = null }) => {
+  if (!SWAP_TYPES.includes(swapType)) {
+    throw new ApiError(400, 'Swap type must be "direct", "points" or "hybrid"');
+  }
+
+  const needsItems = swapType === 'direct' || swapType === 'hybrid';
+  const needsPoints = swapType === 'points' || swapType === 'hybrid';
+
+  if (needsItems && (!offeredItems || offeredItems.length === 0)) {
+    throw new ApiError(400, `At least one offered item is required for ${swapType} swap`);
+  }
+
+  if (needsPoints && !pointsOffered) {
+    throw new ApiError(400, `Points amount is required for ${swapType} type`);
+  }
+
+  let offeredItemsDocs = [];
+
+  if (needsItems) {
+    // Get all offered items
+    offeredItemsDocs = await Item.find({ _id: { $in: offeredItems } }).session(session);
+
+    if (offeredItemsDocs.length !== offeredItems.length) {
+      throw new ApiError(404, 'One or more offered items not found');
+    }
+
+    for (const item of offeredItemsDocs) {
+      // Check if all offered items belong to requester
+      if (item.owner.toString() !== requesterId.toString()) {
+        throw new ApiError(403, 'You can only offer your own items');
+      }
+
+      // Items locked to an accepted swap can't be offered again
+      if (item.lockedBySwap) {
+        throw new ApiError(400, 'One or more offered items are already committed to another swap');
+      }
+
+      // Check if offered item is available
+      if (item.status !== 'listed') {
+        throw new ApiError(400, 'One or more offered items are not available for swap');
+      }
+    }
+  }
+
+  const points = needsPoints ? pointsOffered : 0;
+
+  // Check if user has enough points
+  if (needsPoints && availablePoints !== undefined && availablePoints < points) {
+    throw new ApiError(400, `Insufficient points. You need ${points} points but have ${availablePoints}`);
+  }
+
+  const requestedValue = getBundleValue(requestedItems);
+  const valueLabel = requestedItems.length > 1 ? 'bundle value' : 'item value';
+  const breakdown = buildValueBreakdown(requestedValue, offeredItemsDocs, points);
+
+  if (swapType === 'points' && points !== requestedValue) {
+    throw new ApiError(400, `Points amount must match ${valueLabel} (${requestedValue} points)`);
+  }
+
+  if (swapType === 'hybrid') {
+    if (points > requestedValue) {
+      throw new ApiError(400, `Points offered cannot exceed the ${valueLabel} (${requestedValue} points)`);
+    }
+    if (breakdown.total < requestedValue) {
+      throw new ApiError(400, `Offered items (${breakdown.itemsValue} points) plus points (${points}) must cover the ${valueLabel} (${requestedValue} points)`);
+    }
+  }
+
+  return { offeredItemsDocs, breakdown };
+};
+
+module.exports = {
+  SWAP_TYPES,
+  MAX_BUNDLE_ITEMS,
+  getBundleValue,
+  buildValueBreakdown,
+  validateRequestedItems,
+  validateSwapTerms
+};
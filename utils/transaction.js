@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run a unit of work inside a MongoDB multi-document transaction.
+ * The driver retries the callback on TransientTransactionError and the
+ * commit on UnknownTransactionCommitResult, so the callback must load the
+ * documents it changes itself and pass the session to every read and write.
+ * @param {Function} work - Async callback receiving the session
+ * @returns {*} Value returned by the callback on the committed attempt
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
@@ -109,39 +109,71 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+/**
+ * Validation chains for the listing details of an item. New listings and
+ * publishing need every required field; drafts and edits use the partial
+ * form, where each field is checked only when it is sent.
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Make every field optional
+ * @returns {Array} Fresh express-validator chains
+ */
+const itemValidation = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage(partial
+        ? 'Title must be less than 100 characters'
+        : 'Title is required and must be less than 100 characters'),
+    field('description')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage(partial
+        ? 'Description must be less than 1000 characters'
+        : 'Description is required and must be less than 1000 characters'),
+    field('category')
+      .isIn(['tops', 'bottoms', 'dresses', 'outerwear', 'shoes', 'accessories'])
+      .withMessage('Invalid category'),
+    field('size')
+      .isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'One Size'])
+      .withMessage('Invalid size'),
+    field('condition')
+      .isIn(['new', 'like-new', 'good', 'fair', 'poor'])
+      .withMessage('Invalid condition'),
+    field('pointsValue')
+      .isInt({ min: 1, max: 10000 })
+      .withMessage('Points value must be between 1 and 10000'),
+    body('brand')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Brand must be less than 50 characters'),
+    body('location')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Location must be less than 100 characters'),
+    body('material')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Material must be less than 100 characters'),
+    body('tags')
+      .optional()
+      .isArray()
+      .withMessage('Tags must be an array'),
+    body('tags.*')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Each tag must be less than 20 characters')
+  ];
+};
+
 // Validation middleware for item creation
-const createItemValidation = [
-  commonValidations.itemTitle,
-  commonValidations.itemDescription,
-  commonValidations.itemCategory,
-  body('type')
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage('Type is required and must be less than 50 characters'),
-  commonValidations.itemSize,
-  commonValidations.itemCondition,
-  commonValidations.itemColor,
-  commonValidations.itemPointsValue,
-  body('brand')
-    .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage('Brand must be less than 50 characters'),
-  body('material')
-    .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Material must be less than 100 characters'),
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  body('tags.*')
-    .optional()
-    .trim()
-    .isLength({ max: 20 })
-    .withMessage('Each tag must be less than 20 characters')
-];
+const createItemValidation = itemValidation();
 
 // Validation middleware for swap creation
 const createSwapValidation = [
@@ -204,6 +236,7 @@ module.exports = {
   registerValidation,
   loginValidation,
   createItemValidation,
+  itemValidation,
   createSwapValidation,
   updateProfileValidation,
   changePasswordValidation,
@@ -0,0 +1,252 @@
+const Swap = require('../models/Swap');
+
+// Relative value retained by an item in each condition
+const CONDITION_FACTORS = {
+  'new': 1,
+  'like-new': 0.85,
+  'good': 0.7,
+  'fair': 0.5,
+  'poor': 0.3
+};
+
+// Typical points value of an item in new condition, used without history
+const CATEGORY_BASE_POINTS = {
+  tops: 80,
+  bottoms: 100,
+  dresses: 140,
+  outerwear: 200,
+  shoes: 150,
+  accessories: 60
+};
+
+// Fewer comparables than this and the heuristic estimate is blended in
+const MIN_COMPARABLES = 5;
+
+// How many comparable swaps to look at
+const MAX_COMPARABLES = 200;
+
+// Listings priced below low / factor or above high * factor are flagged
+const PRICE_FLAG_FACTOR = 2;
+
+// Depreciation per month of age, capped at MAX_AGE_DEPRECIATION
+const MONTHLY_DEPRECIATION = 0.02;
+const MAX_AGE_DEPRECIATION = 0.5;
+
+const clampPoints = (value) => Math.min(10000, Math.max(1, Math.round(value)));
+
+/**
+ * Weighted percentile of a list of { value, weight } samples
+ * @param {Array} samples - Samples sorted by value
+ * @param {number} percentile - Between 0 and 1
+ * @returns {number} Value at the percentile
+ */
+const weightedPercentile = (samples, percentile) => {
+  const totalWeight = samples.reduce((sum, sample) => sum + sample.weight, 0);
+  const target = totalWeight * percentile;
+
+  let cumulative = 0;
+  for (const sample of samples) {
+    cumulative += sample.weight;
+    if (cumulative >= target) {
+      return sample.value;
+    }
+  }
+  return samples[samples.length - 1].value;
+};
+
+/**
+ * Heuristic estimate when there isn't enough swap history
+ * @param {Object} attributes - Listing attributes
+ * @param {Array} rationale - Explanations are appended here
+ * @returns {number} Estimated points value
+ */
+const heuristicEstimate = ({ category, condition, originalPrice, age }, rationale) => {
+  let estimate = CATEGORY_BASE_POINTS[category] * CONDITION_FACTORS[condition];
+  rationale.push(`Typical ${category} in ${condition} condition are worth about ${Math.round(estimate)} points`);
+
+  if (originalPrice) {
+    // One point is roughly one unit of the original retail price
+    const fromPrice = originalPrice * CONDITION_FACTORS[condition];
+    estimate = (estimate + fromPrice) / 2;
+    rationale.push(`Original price of ${originalPrice} suggests about ${Math.round(fromPrice)} points in this condition`);
+  }
+
+  if (age) {
+    const depreciation = Math.min(MAX_AGE_DEPRECIATION, age * MONTHLY_DEPRECIATION);
+    estimate *= 1 - depreciation;
+    rationale.push(`Reduced by ${Math.round(depreciation * 100)}% for ${age} months of age`);
+  }
+
+  return estimate;
+};
+
+/**
+ * Load accepted and completed swaps for comparable items
+ * @param {string} category - Item category
+ * @returns {Array} Comparable items with the points they went for
+ */
+const findComparables = (category) => {
+  return Swap.aggregate([
+    // Points paid for a bundle can't be split between its items
+    { $match: { status: { $in: ['accepted', 'completed'] }, 'requestedItems.1': { $exists: false } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $lookup: {
+        from: 'items',
+        localField: 'requestedItem',
+        foreignField: '_id',
+        as: 'item'
+      }
+    },
+    { $unwind: '$item' },
+    { $match: { 'item.category': category } },
+    { $limit: MAX_COMPARABLES },
+    {
+      $project: {
+        _id: 0,
+        // Points swaps record what was actually paid
+        points: {
+          $cond: [{ $gt: ['$pointsOffered', 0] }, '$pointsOffered', '$item.pointsValue']
+        },
+        condition: '$item.condition',
+        brand: '$item.brand',
+        season: '$item.season',
+        age: '$item.age',
+        originalPrice: '$item.originalPrice'
+      }
+    }
+  ]);
+};
+
+/**
+ * Suggest a points value range for a listing based on swap history for
+ * comparable items, falling back to category and condition heuristics
+ * @param {Object} attributes
+ * @param {string} attributes.category - Item category
+ * @param {string} attributes.condition - Item condition
+ * @param {string} [attributes.brand] - Brand name
+ * @param {number} [attributes.originalPrice] - Original retail price
+ * @param {number} [attributes.age] - Age in months
+ * @param {string} [attributes.season] - Season
+ * @returns {Object} Suggested range, confidence and rationale
+ */
+const suggestPointsValue = async ({ category, condition, brand, originalPrice, age, season }) => {
+  const rationale = [];
+  const comparables = await findComparables(category);
+  const targetFactor = CONDITION_FACTORS[condition];
+  const normalizedBrand = brand && brand.trim().toLowerCase();
+
+  const samples = comparables
+    .filter(comp => comp.points > 0 && CONDITION_FACTORS[comp.condition])
+    .map(comp => {
+      // Adjust the price to the target condition before comparing
+      let value = comp.points * targetFactor / CONDITION_FACTORS[comp.condition];
+      let weight = comp.condition === condition ? 2 : 1;
+
+      if (normalizedBrand && normalizedBrand !== 'unknown' &&
+          comp.brand && comp.brand.toLowerCase() === normalizedBrand) {
+        weight *= 3;
+      }
+      if (season && comp.season === season) {
+        weight *= 1.5;
+      }
+      if (originalPrice && comp.originalPrice) {
+        // Scale by relative retail price, limited to avoid outliers dominating
+        value *= Math.min(3, Math.max(1 / 3, originalPrice / comp.originalPrice));
+      }
+      if (age !== undefined && comp.age !== undefined && comp.age !== null) {
+        weight /= 1 + Math.abs(age - comp.age) / 12;
+      }
+
+      return { value, weight };
+    })
+    .sort((a, b) => a.value - b.value);
+
+  let low;
+  let mid;
+  let high;
+  let confidence;
+
+  if (samples.length >= MIN_COMPARABLES) {
+    low = weightedPercentile(samples, 0.25);
+    mid = weightedPercentile(samples, 0.5);
+    high = weightedPercentile(samples, 0.75);
+    confidence = samples.length >= MIN_COMPARABLES * 4 ? 'high' : 'medium';
+    rationale.push(`Based on ${samples.length} accepted or completed swaps for ${category}, adjusted to ${condition} condition`);
+    if (normalizedBrand && normalizedBrand !== 'unknown') {
+      rationale.push(`Swaps for ${brand} items are weighted more heavily`);
+    }
+  } else {
+    const estimate = heuristicEstimate({ category, condition, originalPrice, age }, rationale);
+
+    if (samples.length > 0) {
+      // Blend the few comparables we have into the heuristic
+      const historical = weightedPercentile(samples, 0.5);
+      const share = samples.length / MIN_COMPARABLES;
+      mid = estimate * (1 - share) + historical * share;
+      rationale.push(`Blended with ${samples.length} comparable swap${samples.length === 1 ? '' : 's'} (median ${Math.round(historical)} points)`);
+    } else {
+      mid = estimate;
+      rationale.push(`No comparable swaps found for ${category} yet`);
+    }
+
+    low = mid * 0.75;
+    high = mid * 1.25;
+    confidence = 'low';
+  }
+
+  return {
+    suggested: {
+      low: clampPoints(low),
+      mid: clampPoints(mid),
+      high: clampPoints(high)
+    },
+    confidence,
+    comparablesCount: samples.length,
+    rationale
+  };
+};
+
+/**
+ * Check a listing's points value against the suggested range
+ * @param {Object} item - Item document or plain attributes
+ * @returns {Object} Pricing flag with the suggested range
+ */
+const checkListingPrice = async (item) => {
+  const valuation = await suggestPointsValue({
+    category: item.category,
+    condition: item.condition,
+    brand: item.brand,
+    originalPrice: item.originalPrice != null ? Number(item.originalPrice) : undefined,
+    age: item.age != null ? Number(item.age) : undefined,
+    season: item.season
+  });
+
+  const { low, high } = valuation.suggested;
+  const pointsValue = Number(item.pointsValue);
+
+  let flagged = false;
+  let message = '';
+  if (pointsValue < low / PRICE_FLAG_FACTOR) {
+    flagged = true;
+    message = `Priced well below the suggested range of ${low}-${high} points`;
+  } else if (pointsValue > high * PRICE_FLAG_FACTOR) {
+    flagged = true;
+    message = `Priced well above the suggested range of ${low}-${high} points`;
+  }
+
+  return {
+    flagged,
+    message,
+    suggestedLow: low,
+    suggestedHigh: high,
+    confidence: valuation.confidence,
+    checkedAt: new Date()
+  };
+};
+
+module.exports = {
+  CONDITION_FACTORS,
+  suggestPointsValue,
+  checkListingPrice
+};